@@ -1,6 +1,27 @@
 const User = require('../models/User');
-const { getQueueStats, getQueueStatusMessage, clearQueue, getDetailedQueue } = require('../utils/queue');
-const { addPaidCredits } = require('../utils/credits');
+const Job = require('../models/Job');
+const CreditTransaction = require('../models/CreditTransaction');
+const Payment = require('../models/Payment');
+const PromoCode = require('../models/PromoCode');
+const {
+  getQueueStats,
+  getPoolStats,
+  getQueueStatusMessage,
+  clearQueue,
+  getDetailedQueue,
+  retryDeadJob,
+  moveJob,
+  removeJob,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
+  getQueueLimit
+} = require('../utils/queue');
+const { addPaidCredits, formatTransaction } = require('../utils/credits');
+const { refundPayment } = require('../handlers/paymentHandler');
+const { getUserPlan, getPlanAllowance, getPlan, PLANS } = require('../utils/plans');
+const { activatePlan, endPlan } = require('../utils/subscriptions');
+const { createPromoCode, revokePromoCode, formatPromoCode } = require('../utils/promoCodes');
 
 /**
  * Check if user is admin
@@ -35,13 +56,25 @@ function register(bot) {
   bot.command('queue', adminMiddleware, queueStatus);
   bot.command('clearqueue', adminMiddleware, adminClearQueue);
   bot.command('queuedetails', adminMiddleware, queueDetails);
+  bot.command('failedjobs', adminMiddleware, failedJobs);
+  bot.command('retryjob', adminMiddleware, retryJob);
+  bot.command('pausequeue', adminMiddleware, adminPauseQueue);
+  bot.command('resumequeue', adminMiddleware, adminResumeQueue);
+  bot.command('drain', adminMiddleware, adminDrainQueue);
+  bot.command('movejob', adminMiddleware, adminMoveJob);
+  bot.command('removejob', adminMiddleware, adminRemoveJob);
   
   // User management commands
   bot.command('users', adminMiddleware, userStats);
   bot.command('finduser', adminMiddleware, findUser);
   bot.command('addcredits', adminMiddleware, adminAddCredits);
+  bot.command('audit', adminMiddleware, auditUser);
+  bot.command('refund', adminMiddleware, adminRefund);
+  bot.command('promo', adminMiddleware, adminPromo);
   bot.command('banuser', adminMiddleware, banUser);
   bot.command('unbanuser', adminMiddleware, unbanUser);
+  bot.command('setpriority', adminMiddleware, setPriority);
+  bot.command('setplan', adminMiddleware, setPlan);
   
   // System commands
   bot.command('broadcast', adminMiddleware, broadcastMessage);
@@ -96,6 +129,7 @@ async function adminStats(ctx) {
     ]);
     
     const conversionsToday = totalConversionsToday[0]?.total || 0;
+    const sales = await Payment.getTotals();
     
     const adminStatsText = `
 📊 **Admin Dashboard**
@@ -114,13 +148,15 @@ async function adminStats(ctx) {
 **⏳ Queue Statistics:**
 📋 Current Queue: \`${queueStats.currentQueueLength}\`
 🔄 Is Processing: \`${queueStats.isProcessing ? 'Yes' : 'No'}\`
+🏭 Active Jobs: \`${queueStats.activeJobs}\`
 ✅ Total Processed: \`${queueStats.totalProcessed}\`
 ❌ Total Failed: \`${queueStats.totalFailed}\`
 🕐 Uptime: \`${Math.floor(queueStats.uptime / 3600)}h ${Math.floor((queueStats.uptime % 3600) / 60)}m\`
 
 **💎 Credit Statistics:**
 🆓 Free Credits Given: \`${stats.totalUsers * parseInt(process.env.DAILY_FREE_CREDITS)}\`
-💰 Paid Credits Sold: \`Coming Soon\`
+💰 Paid Credits Sold: \`${sales.credits}\` (\`${sales.payments}\` purchases)
+⭐ Stars Earned: \`${sales.amount}\`
 
 **📊 Success Rate:** \`${queueStats.totalProcessed > 0 ? 
   Math.round((queueStats.totalProcessed / (queueStats.totalProcessed + queueStats.totalFailed)) * 100) : 100}%\`
@@ -146,8 +182,112 @@ async function queueStatus(ctx) {
  * Clear the processing queue
  */
 async function adminClearQueue(ctx) {
-  const clearedCount = clearQueue();
-  await ctx.reply(`🧹 Queue cleared! Removed ${clearedCount} pending tasks.`);
+  const clearedCount = await clearQueue();
+  await ctx.reply(`🧹 Queue cleared! Removed ${clearedCount} pending tasks. Their owners were notified.`);
+}
+
+/**
+ * Stop starting new jobs
+ */
+async function adminPauseQueue(ctx) {
+  const notified = await pauseQueue();
+  
+  if (notified === false) {
+    return ctx.reply('ℹ️ Queue is already paused.');
+  }
+  
+  await ctx.reply(`⏸️ Queue paused. Running jobs will finish, waiting jobs stay queued.\n📢 Notified ${notified} users.\n\nUse /resumequeue to continue.`);
+}
+
+/**
+ * Resume a paused or draining queue
+ */
+async function adminResumeQueue(ctx) {
+  const notified = await resumeQueue();
+  
+  if (notified === false) {
+    return ctx.reply('ℹ️ Queue is already running.');
+  }
+  
+  await ctx.reply(`▶️ Queue resumed and accepting new jobs.\n📢 Notified ${notified} users.`);
+}
+
+/**
+ * Finish all queued work and refuse new jobs, e.g. before a deploy
+ */
+async function adminDrainQueue(ctx) {
+  const stats = getQueueStats();
+  
+  await ctx.reply(`🚰 Draining queue: ${stats.activeJobs} running, ${stats.currentQueueLength} waiting. New conversions are refused.\n\nI'll tell you when it's empty. Use /resumequeue to cancel.`);
+  
+  // Reply later without holding up the update handler
+  drainQueue()
+    .then(() => ctx.reply('✅ Queue drained. Safe to deploy.'))
+    .catch(error => console.error('Drain notification error:', error));
+}
+
+/**
+ * Move a waiting job to another position in its pool
+ */
+async function adminMoveJob(ctx) {
+  const args = ctx.message.text.split(' ');
+  const position = parseInt(args[2]);
+  
+  if (args.length < 3 || !(position > 0)) {
+    return ctx.reply('Usage: /movejob <job_id> <position>');
+  }
+  
+  try {
+    const { job, position: newPosition } = await moveJob(args[1], position);
+    await ctx.reply(`↕️ Job ${job.jobId.substr(0, 8)} moved to position ${newPosition} in the ${job.fileType} pool. User notified.`);
+    
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND') {
+      return ctx.reply('❌ No queued job with that ID. Use /queuedetails to list them.');
+    }
+    
+    if (error.code === 'AMBIGUOUS_JOB_ID') {
+      return ctx.reply('❌ Several jobs match that ID. Please give more characters.');
+    }
+    
+    if (error.code === 'JOB_NOT_WAITING') {
+      return ctx.reply('❌ That job is already running.');
+    }
+    
+    console.error('Move job error:', error);
+    ctx.reply('❌ Error moving job.');
+  }
+}
+
+/**
+ * Remove a waiting or running job
+ */
+async function adminRemoveJob(ctx) {
+  const args = ctx.message.text.split(' ');
+  if (args.length < 2) {
+    return ctx.reply('Usage: /removejob <job_id>');
+  }
+  
+  try {
+    const job = await removeJob(args[1]);
+    await ctx.reply(`🗑️ Job ${job.jobId.substr(0, 8)} removed (${job.fileType} → ${job.targetFormat.toUpperCase()}). User notified.`);
+    
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND') {
+      return ctx.reply('❌ No queued job with that ID. Use /queuedetails to list them.');
+    }
+    
+    if (error.code === 'AMBIGUOUS_JOB_ID') {
+      return ctx.reply('❌ Several jobs match that ID. Please give more characters.');
+    }
+    
+    if (error.code === 'JOB_DELIVERING') {
+      return ctx.reply('❌ That job is already uploading its result and can no longer be removed.');
+    }
+    
+    console.error('Remove job error:', error);
+    ctx.reply('❌ Error removing job.');
+  }
 }
 
 /**
@@ -155,17 +295,28 @@ async function adminClearQueue(ctx) {
  */
 async function queueDetails(ctx) {
   const detailedQueue = getDetailedQueue();
+  const poolStats = getPoolStats();
   
-  if (detailedQueue.length === 0) {
-    return ctx.reply('📭 Queue is empty.');
+  let queueText = `📋 **Detailed Queue Information**\n\n`;
+  
+  queueText += `🏭 **Worker Pools:**\n`;
+  for (const [category, pool] of Object.entries(poolStats)) {
+    queueText += `• ${category}: ${pool.active}/${pool.concurrency} busy, ${pool.waiting} waiting, ${pool.processed} done, avg ${pool.averageProcessingTime}ms, limit ${pool.timeout}s\n`;
   }
+  queueText += `\n`;
   
-  let queueText = `📋 **Detailed Queue Information**\n\n`;
+  if (detailedQueue.length === 0) {
+    queueText += `📭 No jobs waiting.`;
+    return ctx.replyWithMarkdown(queueText);
+  }
   
   detailedQueue.slice(0, 10).forEach((task) => {
     const waitTime = Math.floor(task.waitTime / 1000);
-    queueText += `**${task.position}.** User: \`${task.userId}\`\n`;
+    queueText += `**${task.position}.** User: \`${task.userId}\` (${task.fileType} #${task.poolPosition}, ${task.lane})\n`;
     queueText += `   🆔 Task ID: \`${task.taskId.substr(0, 8)}...\`\n`;
+    if (task.targetFormat) {
+      queueText += `   🧪 ${task.fileType} → ${task.targetFormat.toUpperCase()}\n`;
+    }
     queueText += `   ⏰ Wait Time: ${waitTime}s\n`;
     queueText += `   🔄 Attempts: ${task.attempts}\n\n`;
   });
@@ -177,6 +328,73 @@ async function queueDetails(ctx) {
   await ctx.replyWithMarkdown(queueText);
 }
 
+/**
+ * Show jobs that exhausted their retries (dead-letter list)
+ */
+async function failedJobs(ctx) {
+  try {
+    const deadJobs = await Job.findDead(10);
+    
+    if (deadJobs.length === 0) {
+      return ctx.reply('✅ No failed jobs in the dead-letter list.');
+    }
+    
+    let failedText = `☠️ Failed Jobs (dead-letter)\n\n`;
+    
+    deadJobs.forEach((job, index) => {
+      const lastError = job.attemptErrors[job.attemptErrors.length - 1];
+      failedText += `${index + 1}. ${job.jobId.substr(0, 8)} User: ${job.userId}\n`;
+      failedText += `   🧪 ${job.fileType} → ${job.targetFormat.toUpperCase()}\n`;
+      failedText += `   🔄 Attempts: ${job.attempts}/${job.maxAttempts}\n`;
+      failedText += `   ❌ ${lastError?.code || 'ERROR'}: ${job.error || 'Unknown error'}\n`;
+      failedText += `   📅 ${job.completedAt ? job.completedAt.toLocaleString() : 'Unknown'}\n\n`;
+    });
+    
+    failedText += `💡 Use /retryjob <id> to queue a job again`;
+    
+    await ctx.reply(failedText);
+    
+  } catch (error) {
+    console.error('Failed jobs error:', error);
+    ctx.reply('❌ Error fetching failed jobs.');
+  }
+}
+
+/**
+ * Retry a job from the dead-letter list
+ */
+async function retryJob(ctx) {
+  const args = ctx.message.text.split(' ');
+  if (args.length < 2) {
+    return ctx.reply('Usage: /retryjob <job_id>');
+  }
+  
+  try {
+    const job = await retryDeadJob(args[1]);
+    await ctx.reply(`♻️ Job ${job.jobId.substr(0, 8)} re-queued (${job.fileType} → ${job.targetFormat.toUpperCase()}).`);
+    
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FOUND') {
+      return ctx.reply('❌ No failed job with that ID. Use /failedjobs to list them.');
+    }
+    
+    if (error.code === 'AMBIGUOUS_JOB_ID') {
+      return ctx.reply('❌ Several jobs match that ID. Please give more characters.');
+    }
+    
+    if (error.code === 'QUEUE_DRAINING' || error.code === 'QUEUE_PAUSED') {
+      return ctx.reply(`❌ The queue is ${error.code === 'QUEUE_DRAINING' ? 'draining' : 'paused'}. Use /resumequeue first, then retry the job.`);
+    }
+    
+    if (error.code === 'QUEUE_LIMIT_REACHED') {
+      return ctx.reply(`❌ The job's owner already has ${getQueueLimit()} conversion(s) in progress. Retry it once one has finished.`);
+    }
+    
+    console.error('Retry job error:', error);
+    ctx.reply('❌ Error retrying job.');
+  }
+}
+
 /**
  * Show user statistics and management
  */
@@ -235,19 +453,22 @@ async function findUser(ctx) {
 🆔 User ID: \`${user.userId}\`
 👤 Name: ${user.firstName || 'Unknown'} ${user.lastName || ''}
 📝 Username: @${user.username || 'none'}
-🎯 Source: ${user.source}
+🎯 Source: ${user.source}${user.referralSource ? ` (\`${user.referralSource}\`)` : ''}
+🤝 Referred By: ${user.referredBy || 'none'}${user.referredBy ? (user.referralRewarded ? ' (bonus paid)' : ' (pending)') : ''}
 📅 Joined: ${user.createdAt.toDateString()}
 📅 Last Active: ${user.lastActivity.toDateString()}
 
 **Credits & Usage:**
-🆓 Free Credits: ${user.freeCredits}/${process.env.DAILY_FREE_CREDITS}
+📅 Plan: ${getUserPlan(user).name}${user.planExpiresAt ? ` (until ${user.planExpiresAt.toDateString()})` : ''}
+🆓 Free Credits: ${user.freeCredits}/${getPlanAllowance(getUserPlan(user))}
 💰 Paid Credits: ${user.paidCredits}
 📊 Total Conversions: ${user.totalConversions}
 📈 Credits Used: ${user.totalCreditsUsed}
 
 **Status:**
 🟢 Active: ${user.isActive ? 'Yes' : 'No'}
-🚫 Banned: ${user.isBanned ? 'Yes' : 'No'}
+🚀 Priority Lane: ${user.hasPriorityLane() ? 'Yes' : 'No'}${user.isPriority ? ' (granted)' : ''}
+🚫 Banned: ${user.isBanned ? (user.bannedUntil ? `Until ${user.bannedUntil.toUTCString()}` : 'Yes') : 'No'}
 ${user.banReason ? `📝 Ban Reason: ${user.banReason}` : ''}
 
 **Recent Activity:**
@@ -279,7 +500,7 @@ async function adminAddCredits(ctx) {
   }
   
   try {
-    const user = await addPaidCredits(userId, amount);
+    const user = await addPaidCredits(userId, amount, { adminId: ctx.from.id });
     await ctx.reply(`✅ Added ${amount} paid credits to user ${userId}. Total paid credits: ${user.paidCredits}`);
   } catch (error) {
     console.error('Add credits error:', error);
@@ -287,6 +508,148 @@ async function adminAddCredits(ctx) {
   }
 }
 
+/**
+ * Refund a Telegram Stars purchase and take its credits back
+ */
+async function adminRefund(ctx) {
+  const args = ctx.message.text.split(' ');
+  if (args.length < 2) {
+    return ctx.reply('Usage: /refund <charge_id> [reason]');
+  }
+  
+  const chargeId = args[1];
+  const reason = args.slice(2).join(' ') || null;
+  
+  try {
+    const payment = await refundPayment(ctx.telegram, chargeId, { adminId: ctx.from.id, reason });
+    await ctx.reply(
+      `✅ Refunded ⭐ ${payment.amount} to user ${payment.userId}.\n` +
+      (payment.kind === 'plan'
+        ? `📅 Removed ${payment.planDays} day(s) of the ${payment.packId} plan.`
+        : `💎 Removed ${payment.creditsRemoved}/${payment.credits} paid credits.`)
+    );
+  } catch (error) {
+    if (['PAYMENT_NOT_FOUND', 'ALREADY_REFUNDED', 'PAYMENT_BUSY'].includes(error.code)) {
+      return ctx.reply(`❌ ${error.message}`);
+    }
+    console.error('Refund error:', error);
+    ctx.reply(`❌ Refund failed: ${error.description || error.message}`);
+  }
+}
+
+/**
+ * Create, list and revoke promo codes
+ */
+async function adminPromo(ctx) {
+  const args = ctx.message.text.split(' ').filter(Boolean);
+  const usage = 'Usage:\n' +
+    '/promo create <code> <credits> [max_uses] [per_user] [days_valid]\n' +
+    '/promo list\n' +
+    '/promo revoke <code>\n\n' +
+    'max_uses 0 = unlimited, days_valid 0 = no expiry';
+  
+  try {
+    switch (args[1]) {
+      case 'create': {
+        const [credits, maxUses = 0, perUser = 1, daysValid = 0] = args.slice(3).map(arg => parseInt(arg));
+        if (!args[2] || [credits, maxUses, perUser, daysValid].some(isNaN) || credits <= 0 || maxUses < 0 || perUser <= 0 || daysValid < 0) {
+          return ctx.reply(usage);
+        }
+        
+        const promo = await createPromoCode({
+          code: args[2],
+          credits,
+          maxRedemptions: maxUses || null,
+          perUserLimit: perUser,
+          expiresAt: daysValid ? new Date(Date.now() + daysValid * 24 * 60 * 60 * 1000) : null,
+          createdBy: ctx.from.id
+        });
+        return ctx.reply(`✅ Promo code created\n\n${formatPromoCode(promo)}`);
+      }
+      
+      case 'list': {
+        const promos = await PromoCode.find({}, { redemptions: 0 }).sort({ createdAt: -1 }).limit(20);
+        if (promos.length === 0) {
+          return ctx.reply('🎟 No promo codes yet.');
+        }
+        return ctx.reply(`🎟 Promo Codes (latest ${promos.length})\n\n${promos.map(formatPromoCode).join('\n\n')}`);
+      }
+      
+      case 'revoke': {
+        if (!args[2]) {
+          return ctx.reply(usage);
+        }
+        const promo = await revokePromoCode(args[2], ctx.from.id);
+        if (!promo) {
+          return ctx.reply('❌ Promo code not found or already revoked.');
+        }
+        return ctx.reply(`⛔️ Promo code ${promo.code} revoked after ${promo.redemptionCount} redemption(s).`);
+      }
+      
+      default:
+        return ctx.reply(usage);
+    }
+  } catch (error) {
+    if (error.code === 'INVALID_PROMO_CODE' || error.code === 'PROMO_CODE_EXISTS') {
+      return ctx.reply(`❌ ${error.message}`);
+    }
+    console.error('Promo command error:', error);
+    ctx.reply('❌ Error managing promo codes.');
+  }
+}
+
+/**
+ * Show a user's credit ledger with totals per transaction type
+ */
+async function auditUser(ctx) {
+  const args = ctx.message.text.split(' ');
+  if (args.length < 2) {
+    return ctx.reply('Usage: /audit <user_id>');
+  }
+  
+  const userId = parseInt(args[1]);
+  if (isNaN(userId)) {
+    return ctx.reply('❌ Invalid user ID. Please provide a numeric ID.');
+  }
+  
+  try {
+    const user = await User.findOne({ userId });
+    if (!user) {
+      return ctx.reply('❌ User not found.');
+    }
+    
+    const [transactions, totals] = await Promise.all([
+      CreditTransaction.findForUser(userId, 25),
+      CreditTransaction.getTotalsForUser(userId)
+    ]);
+    
+    let auditText = `🧾 Credit Audit for ${userId}\n\n`;
+    auditText += `💎 Balance: ${user.freeCredits} free, ${user.paidCredits} paid\n`;
+    auditText += `📈 Credits Used: ${user.totalCreditsUsed}\n\n`;
+    
+    if (transactions.length === 0) {
+      auditText += `📭 No ledger entries.`;
+      return ctx.reply(auditText);
+    }
+    
+    auditText += `📊 Totals:\n`;
+    totals.forEach(total => {
+      auditText += `• ${total._id}: ${total.total > 0 ? '+' : ''}${total.total} (${total.count} entries)\n`;
+    });
+    
+    auditText += `\n🕐 Latest ${transactions.length} entries:\n\n`;
+    transactions.forEach(transaction => {
+      auditText += `${formatTransaction(transaction)}\n\n`;
+    });
+    
+    await ctx.reply(auditText);
+    
+  } catch (error) {
+    console.error('Audit error:', error);
+    ctx.reply('❌ Error loading credit audit.');
+  }
+}
+
 /**
  * Ban a user
  */
@@ -311,6 +674,7 @@ async function banUser(ctx) {
     
     user.isBanned = true;
     user.banReason = reason;
+    user.bannedUntil = null;
     user.isActive = false;
     await user.save();
     
@@ -345,6 +709,7 @@ async function unbanUser(ctx) {
     
     user.isBanned = false;
     user.banReason = null;
+    user.bannedUntil = null;
     user.isActive = true;
     await user.save();
     
@@ -356,6 +721,79 @@ async function unbanUser(ctx) {
   }
 }
 
+/**
+ * Grant or revoke priority queue lane for a user
+ */
+async function setPriority(ctx) {
+  const args = ctx.message.text.split(' ');
+  if (args.length < 3 || !['on', 'off'].includes(args[2])) {
+    return ctx.reply('Usage: /setpriority <user_id> <on|off>');
+  }
+  
+  const userId = parseInt(args[1]);
+  
+  if (isNaN(userId)) {
+    return ctx.reply('❌ Invalid user ID.');
+  }
+  
+  try {
+    const user = await User.findOne({ userId });
+    if (!user) {
+      return ctx.reply('❌ User not found.');
+    }
+    
+    user.isPriority = args[2] === 'on';
+    await user.save();
+    
+    await ctx.reply(user.isPriority
+      ? `🚀 User ${userId} now gets the priority queue lane.`
+      : `🐢 User ${userId} no longer has granted priority (paid credits still count).`);
+      
+  } catch (error) {
+    console.error('Set priority error:', error);
+    ctx.reply('❌ Error updating priority.');
+  }
+}
+
+/**
+ * Put a user on a plan for a number of days, or back on Free
+ */
+async function setPlan(ctx) {
+  const args = ctx.message.text.split(' ');
+  const planIds = Object.keys(PLANS).join('|');
+  if (args.length < 3 || !getPlan(args[2])) {
+    return ctx.reply(`Usage: /setplan <user_id> <${planIds}> [days]`);
+  }
+  
+  const userId = parseInt(args[1]);
+  const days = parseInt(args[3] || '30');
+  
+  if (isNaN(userId) || isNaN(days) || days <= 0) {
+    return ctx.reply('❌ Invalid user ID or number of days.');
+  }
+  
+  try {
+    if (args[2] === 'free') {
+      const user = await User.findOne({ userId });
+      if (!user) {
+        return ctx.reply('❌ User not found.');
+      }
+      await endPlan(user, { adminId: ctx.from.id });
+      return ctx.reply(`📅 User ${userId} is back on the Free plan.`);
+    }
+    
+    const user = await activatePlan(userId, args[2], days, { adminId: ctx.from.id });
+    await ctx.reply(`📅 User ${userId} is on the ${getPlan(args[2]).name} plan until ${user.planExpiresAt.toDateString()}.`);
+    
+  } catch (error) {
+    if (error.code === 'USER_NOT_FOUND') {
+      return ctx.reply('❌ User not found.');
+    }
+    console.error('Set plan error:', error);
+    ctx.reply('❌ Error updating plan.');
+  }
+}
+
 /**
  * Broadcast message to all users
  */
@@ -1,5 +1,18 @@
 const { Markup } = require('telegraf');
-const { resetDailyCredits, getCreditStatus, getTimeUntilReset } = require('../utils/credits');
+const CreditTransaction = require('../models/CreditTransaction');
+const Payment = require('../models/Payment');
+const { resetDailyCredits, setUserTimezone, getCreditStatus, getTimeUntilReset, formatTransaction, syncUserFields } = require('../utils/credits');
+const { getUserTimezone } = require('../utils/timezones');
+const { showCreditPacks, showPlans } = require('../handlers/paymentHandler');
+const { redeemPromoCode } = require('../utils/promoCodes');
+const { getDailyGiftCap, findRecipient, validateGift, transferCredits } = require('../utils/gifts');
+const { PLANS, getUserPlan, getPlanAllowance } = require('../utils/plans');
+const { applyStartPayload, getReferralBonus, getReferralLink, getReferralStats } = require('../utils/referrals');
+const { getPlugins } = require('../converters/registry');
+const { getPriceRange } = require('../utils/pricing');
+
+// How long a /gift confirmation button stays valid
+const GIFT_CONFIRM_TTL = 5 * 60 * 1000;
 
 /**
  * Register all user commands
@@ -8,27 +21,17 @@ const { resetDailyCredits, getCreditStatus, getTimeUntilReset } = require('../ut
 function register(bot) {
   // Start command
   bot.start(async (ctx) => {
-    const source = ctx.startPayload;
-    if (source && ctx.user.source === 'direct') {
-      ctx.user.source = source;
-      ctx.user.referralSource = source;
-      await ctx.user.save();
-    }
-
+    await applyStartPayload(ctx.user, ctx.startPayload);
+    
     const welcomeMessage = `
 🎉 **Welcome to File Converter Bot!**
 
 Transform your files instantly with these powerful features:
 
-📄 **Documents** - PDF, DOC, DOCX, TXT, RTF
-🖼 **Images** - PNG, JPG, WEBP, BMP, GIF
-🎵 **Audio** - MP3, WAV, OGG, FLAC *(coming soon)*
-📚 **eBooks** - EPUB, MOBI, FB2, CBZ
-🔤 **Fonts** - TTF, WOFF, OTF, EOT
-💬 **Subtitles** - SRT, VTT, ASS, SUB
+${getCategorySummary()}
 
 💎 **Your Credits:**
-🆓 Free: ${ctx.user.freeCredits}/${process.env.DAILY_FREE_CREDITS} (resets daily)
+🆓 Free: ${ctx.user.freeCredits}/${getPlanAllowance(getUserPlan(ctx.user))} (${getUserPlan(ctx.user).name} plan)
 ${ctx.user.paidCredits > 0 ? `💰 Paid: ${ctx.user.paidCredits}` : ''}
 
 🚀 **Get Started:** Just send me any file!
@@ -65,13 +68,38 @@ ${ctx.user.paidCredits > 0 ? `💰 Paid: ${ctx.user.paidCredits}` : ''}
   // History command  
   bot.command('history', (ctx) => showHistory(ctx));
 
+  // Credit ledger command
+  bot.command('ledger', (ctx) => showLedger(ctx));
+
+  // Credit shop and purchase receipts
+  bot.command('buy', (ctx) => showCreditPacks(ctx));
+  bot.command('purchases', (ctx) => showPurchases(ctx));
+  bot.command('plan', (ctx) => showPlans(ctx));
+  
+  // Promo code redemption
+  bot.command('redeem', (ctx) => redeemCode(ctx));
+  
+  // Gift paid credits to another user
+  bot.command('gift', (ctx) => prepareGift(ctx));
+  bot.action(/^gift_confirm_(\w+)$/, (ctx) => confirmGift(ctx, ctx.match[1]));
+  bot.action('gift_cancel', async (ctx) => {
+    if (ctx.session) {
+      delete ctx.session.pendingGift;
+    }
+    await ctx.answerCbQuery('Gift cancelled');
+    await ctx.editMessageText('❌ Gift cancelled.');
+  });
+  
+  // Referral link and invite statistics
+  bot.command('referrals', (ctx) => showReferrals(ctx));
+  
   // Cancel command
-  bot.command('cancel', (ctx) => {
+  bot.command('cancel', async (ctx) => {
     const { removeFromQueue } = require('../utils/queue');
-    const removed = removeFromQueue(ctx.from.id);
+    const cancelled = await removeFromQueue(ctx.from.id);
     
-    if (removed) {
-      ctx.reply('❌ Your conversion has been cancelled and removed from queue.');
+    if (cancelled > 0) {
+      ctx.reply(`❌ Cancelled ${cancelled} conversion(s). Their reserved credits are refunded.`);
     } else {
       ctx.reply('ℹ️ No active conversion to cancel.');
     }
@@ -79,6 +107,9 @@ ${ctx.user.paidCredits > 0 ? `💰 Paid: ${ctx.user.paidCredits}` : ''}
 
   // Settings command
   bot.command('settings', (ctx) => showSettings(ctx));
+  
+  // Timezone for the daily credit reset
+  bot.command('timezone', (ctx) => changeTimezone(ctx));
 
   // Additional callback handlers
   bot.action('send_file_prompt', (ctx) => {
@@ -101,15 +132,10 @@ ${ctx.user.paidCredits > 0 ? `💰 Paid: ${ctx.user.paidCredits}` : ''}
 
 Transform your files instantly with these powerful features:
 
-📄 **Documents** - PDF, DOC, DOCX, TXT, RTF
-🖼 **Images** - PNG, JPG, WEBP, BMP, GIF
-🎵 **Audio** - MP3, WAV, OGG, FLAC *(coming soon)*
-📚 **eBooks** - EPUB, MOBI, FB2, CBZ
-🔤 **Fonts** - TTF, WOFF, OTF, EOT
-💬 **Subtitles** - SRT, VTT, ASS, SUB
+${getCategorySummary()}
 
 💎 **Your Credits:**
-🆓 Free: ${ctx.user.freeCredits}/${process.env.DAILY_FREE_CREDITS} (resets daily)
+🆓 Free: ${ctx.user.freeCredits}/${getPlanAllowance(getUserPlan(ctx.user))} (${getUserPlan(ctx.user).name} plan)
 ${ctx.user.paidCredits > 0 ? `💰 Paid: ${ctx.user.paidCredits}` : ''}
 
 🚀 **Get Started:** Just send me any file!
@@ -147,6 +173,7 @@ ${ctx.user.paidCredits > 0 ? `💰 Paid: ${ctx.user.paidCredits}` : ''}
  * Show help information
  */
 async function showHelp(ctx) {
+  const prices = getPriceRange();
   const helpText = `
 🤖 **Bot Commands:**
 
@@ -156,8 +183,16 @@ async function showHelp(ctx) {
 /formats - View all supported formats
 /history - Your conversion history
 /credits - Check your credit balance
+/ledger - Every change to your credits
+/buy - Buy credits with Telegram Stars
+/plan - Your plan and upgrades
+/purchases - Your purchase receipts
+/referrals - Invite friends, earn credits
+/redeem CODE - Redeem a promo code
+/gift <user_id|@username> <amount> - Gift paid credits
 /cancel - Cancel current conversion
 /settings - Bot preferences
+/timezone - Reset credits at your local midnight
 
 **How to Convert Files:**
 1. 📤 Send me any supported file
@@ -166,16 +201,15 @@ async function showHelp(ctx) {
 4. 📥 Download your converted file
 
 **Credit System:**
-💎 Get ${process.env.DAILY_FREE_CREDITS} free conversions daily
-🔄 Credits reset at 00:00 UTC automatically
-💰 Buy additional credits for unlimited use
+💎 Get ${process.env.DAILY_FREE_CREDITS} free credits daily
+🏷 Each format button shows its price (${prices.min}-${prices.max} 💎 by type and file size)
+🔄 Credits reset at your local midnight (/timezone)
+💰 Buy paid credits with ⭐ Telegram Stars (/buy)
+📅 Pro & Business plans: bigger allowances and files, priority queue (/plan)
 📊 Track usage in your history
 
-**File Size Limits:**
-📄 Documents: Up to 20MB
-🖼 Images: Up to 20MB  
-🎵 Audio: Up to 50MB
-📚 eBooks: Up to 10MB
+**File Size Limits (Free plan):**
+${getSizeLimitSummary()}
 
 **Tips for Best Results:**
 ✅ Use clear, readable file names
@@ -213,16 +247,14 @@ async function showCredits(ctx) {
   await resetDailyCredits(ctx.user);
   
   const creditsText = getCreditStatus(ctx.user);
-  const timeUntilReset = getTimeUntilReset();
+  const timeUntilReset = getTimeUntilReset(ctx.user);
   
-  const fullText = `${creditsText}\n\n⏳ **Next reset in:** ${timeUntilReset}`;
+  // Timezone names like America/New_York would break Markdown
+  const fullText = `${creditsText}\n\n⏳ **Next reset in:** ${timeUntilReset.replace(/_/g, '\\_')}`;
   
   const keyboard = [];
   
-  // Add buy credits button if no credits
-  if (ctx.user.freeCredits + ctx.user.paidCredits === 0) {
-    keyboard.push([Markup.button.callback('🛒 Buy Credits', 'buy_credits')]);
-  }
+  keyboard.push([Markup.button.callback('🛒 Buy Credits', 'buy_credits')]);
   
   // Add history and formats buttons
   keyboard.push([
@@ -251,39 +283,41 @@ async function showCredits(ctx) {
 }
 
 /**
- * Show supported formats
+ * List every converter category with the formats it reads, one line each
+ * @returns {string} Lines for the welcome message
+ */
+function getCategorySummary() {
+  return getPlugins()
+    .map(plugin => `${plugin.emoji} **${plugin.name}** - ${plugin.inputs.map(format => format.toUpperCase()).join(', ')}`)
+    .join('\n');
+}
+
+/**
+ * List the Free plan size limit of every converter category, as validation enforces them
+ * @returns {string} Lines for the help message
+ */
+function getSizeLimitSummary() {
+  return getPlugins()
+    .map(plugin => `${plugin.emoji} ${plugin.name}: Up to ${Math.round(plugin.maxSize * PLANS.free.maxSizeFactor / (1024 * 1024))}MB`)
+    .join('\n');
+}
+
+/**
+ * Show supported formats, as declared by the converter plugins
  */
 async function showFormats(ctx) {
+  const asCode = (formats) => formats.map(format => `\`${format.toUpperCase()}\``).join(' ');
+  const sections = getPlugins().map(plugin =>
+    `**${plugin.emoji} ${plugin.name}**\n` +
+    `From: ${asCode(plugin.inputs)}\n` +
+    `To: ${asCode(Object.keys(plugin.outputs))}\n` +
+    `*${plugin.description}*`
+  );
+  
   const formatsText = `
 📋 **Supported File Formats**
 
-**📄 Documents**
-\`PDF\` \`DOC\` \`DOCX\` \`TXT\` \`RTF\` \`ODT\`
-*Perfect for reports, letters, and documentation*
-
-**📊 Spreadsheets** 
-\`XLS\` \`XLSX\` \`ODS\` \`CSV\`
-*Financial data, lists, and calculations*
-
-**🖼 Images**
-\`PNG\` \`JPG\` \`JPEG\` \`WEBP\` \`BMP\` \`GIF\`
-\`TIFF\` \`TIF\` \`ICO\` \`HEIC\` \`AVIF\` \`SVG\`
-*Photos, graphics, logos, and artwork*
-
-**📚 eBooks**
-\`EPUB\` \`MOBI\` \`AZW3\` \`FB2\` \`CBZ\` \`DJVU\`
-*Digital books and comic collections*
-
-**🔤 Fonts**
-\`TTF\` \`OTF\` \`WOFF\` \`WOFF2\` \`EOT\`
-*Typography for web and print*
-
-**💬 Subtitles**
-\`SRT\` \`VTT\` \`ASS\` \`SSA\` \`SUB\` \`SBV\`
-*Video captions and subtitles*
-
-**🎵 Audio** *(Coming Soon)*
-\`MP3\` \`WAV\` \`OGG\` \`FLAC\` \`M4A\` \`AAC\`
+${sections.join('\n\n')}
 
 **💡 Format Notes:**
 • **WEBP** - Smaller size, modern browsers
@@ -389,6 +423,236 @@ Send me any supported file and I'll convert it for you.
   }
 }
 
+/**
+ * Show the user's credit ledger
+ */
+async function showLedger(ctx) {
+  try {
+    const transactions = await CreditTransaction.findForUser(ctx.from.id, 15);
+    
+    if (transactions.length === 0) {
+      return ctx.reply('📒 Your credit ledger is empty so far.');
+    }
+    
+    let ledgerText = `📒 Your Credit Ledger (latest ${transactions.length})\n\n`;
+    transactions.forEach(transaction => {
+      ledgerText += `${formatTransaction(transaction)}\n\n`;
+    });
+    ledgerText += `💎 Balance: ${ctx.user.freeCredits} free, ${ctx.user.paidCredits} paid`;
+    
+    await ctx.reply(ledgerText);
+    
+  } catch (error) {
+    console.error('Ledger error:', error);
+    ctx.reply('❌ Error loading your credit ledger.');
+  }
+}
+
+/**
+ * Show the user's Stars purchases
+ */
+async function showPurchases(ctx) {
+  try {
+    const payments = await Payment.find({ userId: ctx.from.id }).sort({ createdAt: -1 }).limit(10);
+    
+    if (payments.length === 0) {
+      return ctx.reply('🧾 You haven\'t bought any credits yet. Use /buy to get some!');
+    }
+    
+    let purchasesText = `🧾 Your Purchases (latest ${payments.length})\n\n`;
+    payments.forEach(payment => {
+      const date = new Date(payment.createdAt).toLocaleDateString();
+      const item = payment.kind === 'plan' ? `📅 ${payment.packId} plan, ${payment.planDays} days` : `💎 ${payment.credits} credits`;
+      purchasesText += `${item} for ⭐ ${payment.amount} · ${date}\n`;
+      purchasesText += `   🔖 ${payment.telegramPaymentChargeId}\n`;
+      if (payment.status === 'refunded') {
+        purchasesText += `   ↩️ Refunded ${new Date(payment.refundedAt).toLocaleDateString()}\n`;
+      } else if (payment.status === 'refund_pending') {
+        purchasesText += `   ⏳ Refund in progress\n`;
+      } else if (payment.fulfillment && payment.fulfillment !== 'done') {
+        purchasesText += `   ⏳ Not applied yet, retrying automatically\n`;
+      }
+      purchasesText += `\n`;
+    });
+    
+    await ctx.reply(purchasesText);
+    
+  } catch (error) {
+    console.error('Purchases error:', error);
+    ctx.reply('❌ Error loading your purchases.');
+  }
+}
+
+/**
+ * Redeem a promo code for paid credits
+ */
+async function redeemCode(ctx) {
+  const code = ctx.message.text.split(' ').filter(Boolean)[1];
+  if (!code) {
+    return ctx.reply('Usage: /redeem CODE');
+  }
+  
+  if (ctx.user.isBanned) {
+    return ctx.reply('🚫 Your account is suspended.');
+  }
+  
+  try {
+    const { promo, user } = await redeemPromoCode(ctx.from.id, code);
+    await ctx.reply(`🎟 Promo code ${promo.code} redeemed!\n\n💎 +${promo.credits} paid credits\n💰 Paid credits balance: ${user.paidCredits}`);
+    
+  } catch (error) {
+    if (error.code && error.code.startsWith('PROMO_')) {
+      return ctx.reply(`❌ ${error.message}`);
+    }
+    console.error('Redeem error:', error);
+    ctx.reply('❌ Error redeeming promo code. Please try again.');
+  }
+}
+
+/**
+ * Check a /gift request and ask the sender to confirm it
+ */
+async function prepareGift(ctx) {
+  const [, target, amountText] = ctx.message.text.split(' ').filter(Boolean);
+  const amount = parseInt(amountText);
+  if (!target || !/^\d+$/.test(amountText || '')) {
+    return ctx.reply(`Usage: /gift <user_id|@username> <amount>\n\nOnly paid credits can be gifted, up to ${getDailyGiftCap()} per day.`);
+  }
+  
+  if (ctx.user.isBanned) {
+    return ctx.reply('🚫 Your account is suspended.');
+  }
+  
+  try {
+    const recipient = await findRecipient(target);
+    if (!recipient) {
+      return ctx.reply('❌ User not found. They need to have started the bot.');
+    }
+    
+    await validateGift(ctx.user, recipient, amount);
+    
+    const id = Date.now().toString(36);
+    ctx.session = ctx.session || {};
+    ctx.session.pendingGift = { id, recipientId: recipient.userId, amount, createdAt: Date.now() };
+    
+    const name = recipient.username ? `@${recipient.username}` : `user ${recipient.userId}`;
+    await ctx.reply(
+      `🎁 Send ${amount} paid credits to ${name}?\n\nThis can't be undone.`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback('✅ Send', `gift_confirm_${id}`), Markup.button.callback('❌ Cancel', 'gift_cancel')]
+      ])
+    );
+    
+  } catch (error) {
+    if (error.code) {
+      return ctx.reply(`❌ ${error.message}`);
+    }
+    console.error('Gift error:', error);
+    ctx.reply('❌ Error preparing the gift. Please try again.');
+  }
+}
+
+/**
+ * Send a confirmed gift and notify the recipient
+ * @param {Object} ctx - Telegraf context
+ * @param {string} id - Pending gift ID from the button
+ */
+async function confirmGift(ctx, id) {
+  const pending = ctx.session?.pendingGift;
+  
+  // Take the pending gift before any await so a double tap can't send it twice
+  if (!pending || pending.id !== id || Date.now() - pending.createdAt > GIFT_CONFIRM_TTL) {
+    await ctx.answerCbQuery('This gift has expired');
+    return ctx.editMessageText('⌛ This gift has expired. Use /gift to start again.');
+  }
+  delete ctx.session.pendingGift;
+  
+  await ctx.answerCbQuery();
+  
+  try {
+    const recipient = await findRecipient(String(pending.recipientId));
+    if (!recipient) {
+      return ctx.editMessageText('❌ User not found.');
+    }
+    
+    // Balances and today's total may have changed since the request
+    await validateGift(ctx.user, recipient, pending.amount);
+    const { sender } = await transferCredits(ctx.user, recipient.userId, pending.amount);
+    syncUserFields(ctx.user, { paidCredits: sender.paidCredits, giftDay: sender.giftDay, giftedToday: sender.giftedToday });
+    
+    const name = recipient.username ? `@${recipient.username}` : `user ${recipient.userId}`;
+    await ctx.editMessageText(`🎁 Sent ${pending.amount} paid credits to ${name}.\n\n💰 Paid credits balance: ${sender.paidCredits}`);
+    
+    const from = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name || `user ${ctx.from.id}`;
+    try {
+      await ctx.telegram.sendMessage(recipient.userId, `🎁 ${from} sent you ${pending.amount} paid credits!\n\nUse /credits to see your balance.`);
+    } catch (error) {
+      console.error(`Failed to notify user ${recipient.userId}:`, error.message);
+    }
+    
+  } catch (error) {
+    if (error.code) {
+      return ctx.editMessageText(`❌ ${error.message}`);
+    }
+    console.error('Gift error:', error);
+    ctx.editMessageText('❌ Error sending the gift. Please try again.');
+  }
+}
+
+/**
+ * Show the user's referral link and what their invites earned
+ */
+async function showReferrals(ctx) {
+  try {
+    const botUsername = ctx.botInfo?.username || process.env.BOT_USERNAME;
+    const stats = await getReferralStats(ctx.user);
+    const bonus = getReferralBonus();
+    
+    let referralsText = `🤝 Invite Friends\n\n`;
+    referralsText += `Share your personal link. When a friend makes their first conversion, you both get ${bonus} paid credits.\n\n`;
+    referralsText += `🔗 ${getReferralLink(botUsername, ctx.from.id)}\n\n`;
+    referralsText += `👥 Invited: ${stats.invited}\n`;
+    referralsText += `✅ Converted: ${stats.converted}\n`;
+    referralsText += `💎 Earned: ${stats.earned} credits`;
+    
+    await ctx.reply(referralsText);
+    
+  } catch (error) {
+    console.error('Referrals error:', error);
+    ctx.reply('❌ Error loading your referrals.');
+  }
+}
+
+/**
+ * Show or change the timezone the daily credit reset follows
+ */
+async function changeTimezone(ctx) {
+  const timezone = ctx.message.text.split(' ').filter(Boolean)[1];
+  
+  if (!timezone) {
+    return ctx.reply(
+      `🕛 Your credits reset at midnight ${getUserTimezone(ctx.user)}` +
+      `${ctx.user.preferences.timezone ? '' : ' (derived from your language)'}.\n\n` +
+      `Usage: /timezone Europe/Berlin\n` +
+      `Use /timezone auto to derive it from your language again.`
+    );
+  }
+  
+  try {
+    await setUserTimezone(ctx.user, timezone === 'auto' ? null : timezone);
+    await ctx.reply(
+      `✅ Timezone set to ${getUserTimezone(ctx.user)}.\n` +
+      `⏳ Next credit reset in ${getTimeUntilReset(ctx.user)}.`
+    );
+  } catch (error) {
+    if (error.code === 'INVALID_TIMEZONE') {
+      return ctx.reply('❌ Unknown timezone. Use a name like Europe/Berlin, America/New_York or Asia/Tokyo.');
+    }
+    console.error('Timezone error:', error);
+    ctx.reply('❌ Error updating your timezone.');
+  }
+}
+
 /**
  * Show user settings
  */
@@ -400,6 +664,7 @@ async function showSettings(ctx) {
 **🌐 Language:** ${user.preferences.language.toUpperCase()}
 **🔔 Notifications:** ${user.preferences.notifications ? 'Enabled' : 'Disabled'}  
 **📱 Default Quality:** ${user.preferences.defaultQuality.charAt(0).toUpperCase() + user.preferences.defaultQuality.slice(1)}
+**🕛 Timezone:** \`${getUserTimezone(user)}\`${user.preferences.timezone ? '' : ' (from language)'}
 
 **📊 Account Info:**
 👤 **User ID:** \`${user.userId}\`
@@ -436,5 +701,8 @@ module.exports = {
   showCredits,
   showFormats,
   showHistory,
+  showLedger,
+  showPurchases,
+  showReferrals,
   showSettings
 };
\ No newline at end of file
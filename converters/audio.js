@@ -2,15 +2,39 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const path = require('path');
 const fs = require('fs').promises;
+const { definePlugin, supportsConversion } = require('./plugin');
 
 // Set FFmpeg path
 ffmpeg.setFfmpegPath(ffmpegStatic);
 
+// What this converter handles; the format keyboard, /formats and validation are built from it
+const plugin = definePlugin({
+  category: 'audio',
+  name: 'Audio',
+  emoji: '🎵',
+  description: 'Music, podcasts, and voice messages',
+  maxSize: 50 * 1024 * 1024, // 50MB
+  inputs: ['mp3', 'wav', 'ogg', 'flac', 'm4a', 'aac'],
+  outputs: {
+    mp3: { label: '🎵 MP3', desc: 'Most compatible' },
+    wav: { label: '🎶 WAV', desc: 'Lossless quality' },
+    ogg: { label: '🔊 OGG', desc: 'Open source' },
+    flac: { label: '💿 FLAC', desc: 'Lossless compression' },
+    m4a: { label: '📱 M4A', desc: 'Apple format' },
+    aac: { label: '🎧 AAC', desc: 'Small and efficient' }
+  },
+  options: {
+    quality: { values: ['low', 'medium', 'high'], default: 'medium' }
+  }
+});
+
 /**
  * Convert audio to specified format using FFmpeg
  * @param {string} inputPath - Path to input audio file
  * @param {string} outputFormat - Target format (mp3, wav, ogg, etc.)
  * @param {Object} options - Conversion options
+ * @param {string} options.inputFormat - Input format (FFmpeg probes the content itself, this is for logs)
+ * @param {AbortSignal} options.signal - Kills FFmpeg when aborted
  * @returns {string} Path to converted file
  */
 async function convert(inputPath, outputFormat, options = {}) {
@@ -18,7 +42,7 @@ async function convert(inputPath, outputFormat, options = {}) {
   
   return new Promise((resolve, reject) => {
     try {
-      console.log(`Converting audio: ${path.basename(inputPath)} → ${outputFormat}`);
+      console.log(`Converting audio: ${path.basename(inputPath)} (${options.inputFormat || 'unknown'}) → ${outputFormat}`);
       
       let command = ffmpeg(inputPath);
       
@@ -57,6 +81,16 @@ async function convert(inputPath, outputFormat, options = {}) {
       // Set output format
       command = command.format(getFFmpegFormat(outputFormat));
       
+      // Kill FFmpeg when the job is cancelled
+      if (options.signal) {
+        if (options.signal.aborted) {
+          const err = new Error('Audio conversion cancelled');
+          err.code = 'CANCELLED';
+          return reject(err);
+        }
+        options.signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+      }
+      
       // Start conversion
       command
         .output(outputPath)
@@ -205,7 +239,7 @@ function getAudioMetadata(inputPath) {
  * @returns {Array} Array of supported input formats
  */
 function getSupportedInputFormats() {
-  return ['mp3', 'wav', 'ogg', 'flac', 'm4a', 'aac', 'wma', '3gp', 'amr'];
+  return [...plugin.inputs];
 }
 
 /**
@@ -213,7 +247,7 @@ function getSupportedInputFormats() {
  * @returns {Array} Array of supported output formats
  */
 function getSupportedOutputFormats() {
-  return ['mp3', 'wav', 'ogg', 'flac', 'm4a', 'aac'];
+  return Object.keys(plugin.outputs);
 }
 
 /**
@@ -223,11 +257,7 @@ function getSupportedOutputFormats() {
  * @returns {boolean} Whether conversion is supported
  */
 function isConversionSupported(inputFormat, outputFormat) {
-  const supportedInput = getSupportedInputFormats();
-  const supportedOutput = getSupportedOutputFormats();
-  
-  return supportedInput.includes(inputFormat.toLowerCase()) && 
-         supportedOutput.includes(outputFormat.toLowerCase());
+  return supportsConversion(plugin, inputFormat.toLowerCase(), outputFormat.toLowerCase());
 }
 
 /**
@@ -341,6 +371,7 @@ async function extractAudioFromVideo(inputPath, outputFormat, options = {}) {
 }
 
 module.exports = {
+  plugin,
   convert,
   getAudioMetadata,
   getSupportedInputFormats,
@@ -3,21 +3,44 @@ const mammoth = require('mammoth');
 const fs = require('fs').promises;
 const path = require('path');
 const { promisify } = require('util');
+const { definePlugin, supportsConversion } = require('./plugin');
 
-const libreConvert = promisify(libre.convert);
+const libreConvert = promisify(libre.convertWithOptions);
+
+// What this converter handles; the format keyboard, /formats and validation are built from it
+const plugin = definePlugin({
+  category: 'document',
+  name: 'Documents',
+  emoji: '📄',
+  description: 'Perfect for reports, letters, and documentation',
+  maxSize: 20 * 1024 * 1024, // 20MB
+  inputs: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt'],
+  outputs: {
+    pdf: { label: '📄 PDF', desc: 'Preserve formatting' },
+    docx: { label: '📝 DOCX', desc: 'Editable document' },
+    txt: { label: '📜 TXT', desc: 'Plain text' },
+    rtf: { label: '📋 RTF', desc: 'Rich text' },
+    odt: { label: '📄 ODT', desc: 'OpenOffice' }
+  },
+  conversions: {
+    pdf: ['txt'] // PDF can only be converted to text
+  }
+});
 
 /**
  * Convert document to specified format
  * @param {string} inputPath - Path to input document
  * @param {string} outputFormat - Target format (pdf, docx, txt, etc.)
  * @param {Object} options - Conversion options
+ * @param {string} options.inputFormat - Input format (defaults to the path's extension)
+ * @param {AbortSignal} options.signal - Kills LibreOffice when aborted
  * @returns {string} Path to converted file
  */
 async function convert(inputPath, outputFormat, options = {}) {
   const outputPath = path.join('/tmp', `output_${Date.now()}.${outputFormat}`);
   
   try {
-    const inputFormat = path.extname(inputPath).toLowerCase().replace('.', '');
+    const inputFormat = options.inputFormat || path.extname(inputPath).toLowerCase().replace('.', '');
     console.log(`Converting document: ${inputFormat} → ${outputFormat}`);
     
     // Read input file
@@ -28,7 +51,7 @@ async function convert(inputPath, outputFormat, options = {}) {
     
     if (isLibreOfficeConversion(inputFormat, outputFormat)) {
       // Use LibreOffice for most document conversions
-      outputBuffer = await convertWithLibreOffice(inputBuffer, outputFormat, inputFormat);
+      outputBuffer = await convertWithLibreOffice(inputBuffer, outputFormat, inputFormat, options.signal);
     } else if (inputFormat === 'docx' && outputFormat === 'txt') {
       // Use Mammoth for DOCX to TXT conversion
       outputBuffer = await convertDocxToText(inputBuffer);
@@ -37,7 +60,7 @@ async function convert(inputPath, outputFormat, options = {}) {
       outputBuffer = await convertTextToDocx(inputBuffer);
     } else if (outputFormat === 'txt') {
       // Generic text extraction
-      outputBuffer = await extractTextFromDocument(inputBuffer, inputFormat);
+      outputBuffer = await extractTextFromDocument(inputBuffer, inputFormat, options.signal);
     } else {
       throw new Error(`Conversion from ${inputFormat} to ${outputFormat} is not supported`);
     }
@@ -95,9 +118,10 @@ function isLibreOfficeConversion(inputFormat, outputFormat) {
  * @param {Buffer} inputBuffer - Input file buffer
  * @param {string} outputFormat - Target format
  * @param {string} inputFormat - Input format
+ * @param {AbortSignal} signal - Kills the soffice process when aborted
  * @returns {Buffer} Converted file buffer
  */
-async function convertWithLibreOffice(inputBuffer, outputFormat, inputFormat) {
+async function convertWithLibreOffice(inputBuffer, outputFormat, inputFormat, signal) {
   try {
     // LibreOffice format mapping
     const formatMap = {
@@ -115,7 +139,9 @@ async function convertWithLibreOffice(inputBuffer, outputFormat, inputFormat) {
     }
     
     // Convert using LibreOffice
-    const outputBuffer = await libreConvert(inputBuffer, libreFormat, undefined);
+    const outputBuffer = await libreConvert(inputBuffer, libreFormat, undefined, {
+      execOptions: { signal }
+    });
     
     return outputBuffer;
     
@@ -210,9 +236,10 @@ function escapeXml(text) {
  * Extract text from various document formats
  * @param {Buffer} inputBuffer - Input file buffer
  * @param {string} inputFormat - Input format
+ * @param {AbortSignal} signal - Kills LibreOffice when aborted
  * @returns {Buffer} Extracted text buffer
  */
-async function extractTextFromDocument(inputBuffer, inputFormat) {
+async function extractTextFromDocument(inputBuffer, inputFormat, signal) {
   switch (inputFormat) {
     case 'txt':
       return inputBuffer; // Already text
@@ -229,7 +256,7 @@ async function extractTextFromDocument(inputBuffer, inputFormat) {
     default:
       // Try LibreOffice conversion to text first
       try {
-        return await convertWithLibreOffice(inputBuffer, 'txt', inputFormat);
+        return await convertWithLibreOffice(inputBuffer, 'txt', inputFormat, signal);
       } catch (error) {
         throw new Error(`Text extraction from ${inputFormat} not supported`);
       }
@@ -259,7 +286,7 @@ function extractTextFromRTF(rtfContent) {
  * @returns {Array} Array of supported input formats
  */
 function getSupportedInputFormats() {
-  return ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt'];
+  return [...plugin.inputs];
 }
 
 /**
@@ -267,7 +294,7 @@ function getSupportedInputFormats() {
  * @returns {Array} Array of supported output formats
  */
 function getSupportedOutputFormats() {
-  return ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt'];
+  return Object.keys(plugin.outputs);
 }
 
 /**
@@ -277,19 +304,7 @@ function getSupportedOutputFormats() {
  * @returns {boolean} Whether conversion is supported
  */
 function isConversionSupported(inputFormat, outputFormat) {
-  const supportedInput = getSupportedInputFormats();
-  const supportedOutput = getSupportedOutputFormats();
-  
-  if (!supportedInput.includes(inputFormat) || !supportedOutput.includes(outputFormat)) {
-    return false;
-  }
-  
-  // Some specific conversion limitations
-  if (inputFormat === 'pdf' && outputFormat !== 'txt') {
-    return false; // PDF can only be converted to text
-  }
-  
-  return true;
+  return supportsConversion(plugin, inputFormat.toLowerCase(), outputFormat.toLowerCase());
 }
 
 /**
@@ -403,6 +418,7 @@ async function validateDocument(inputBuffer, inputFormat) {
 }
 
 module.exports = {
+  plugin,
   convert,
   getSupportedInputFormats,
   getSupportedOutputFormats,
@@ -2,34 +2,67 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
 const fs = require('fs').promises;
+const { definePlugin, supportsConversion } = require('./plugin');
 
 const execAsync = promisify(exec);
 
+// What this converter handles; the format keyboard, /formats and validation are built from it
+const plugin = definePlugin({
+  category: 'ebook',
+  name: 'eBooks',
+  emoji: '📚',
+  description: 'Digital books and comic collections',
+  maxSize: 10 * 1024 * 1024, // 10MB
+  inputs: ['epub', 'mobi', 'azw', 'azw3', 'fb2', 'cbz', 'djvu'],
+  outputs: {
+    epub: { label: '📚 EPUB', desc: 'Universal ebook' },
+    mobi: { label: '📖 MOBI', desc: 'Kindle format' },
+    fb2: { label: '📗 FB2', desc: 'FictionBook' },
+    azw3: { label: '📘 AZW3', desc: 'Kindle KF8' }
+  },
+  options: {
+    quality: { values: ['low', 'medium', 'high'], default: 'medium' }
+  }
+});
+
 /**
  * Convert ebook to specified format using ebook-convert (Calibre)
  * @param {string} inputPath - Path to input ebook
  * @param {string} outputFormat - Target format (epub, mobi, pdf, etc.)
  * @param {Object} options - Conversion options
+ * @param {string} options.inputFormat - Input format (defaults to the path's extension)
+ * @param {AbortSignal} options.signal - Kills ebook-convert when aborted
  * @returns {string} Path to converted file
  */
 async function convert(inputPath, outputFormat, options = {}) {
   const outputPath = path.join('/tmp', `output_${Date.now()}.${outputFormat}`);
+  let linkedPath = null;
   
   try {
     console.log(`Converting ebook: ${path.basename(inputPath)} → ${outputFormat}`);
     
+    // ebook-convert picks its input reader by extension, and downloaded files have none
+    const inputFormat = options.inputFormat || path.extname(inputPath).toLowerCase().replace('.', '');
+    let sourcePath = inputPath;
+    if (inputFormat && path.extname(inputPath).toLowerCase() !== `.${inputFormat}`) {
+      linkedPath = `${inputPath}.${inputFormat}`;
+      await fs.symlink(inputPath, linkedPath);
+      sourcePath = linkedPath;
+    }
+    
     // Check if Calibre is installed (for production, you'd install it in your Docker image)
     const calibreVersion = await checkCalibreInstallation();
     console.log(`Using Calibre version: ${calibreVersion}`);
     
     // Build ebook-convert command
-    const command = buildConversionCommand(inputPath, outputPath, outputFormat, options);
+    const command = buildConversionCommand(sourcePath, outputPath, outputFormat, options);
     console.log(`Executing: ${command}`);
     
     // Execute conversion
     const { stdout, stderr } = await execAsync(command, {
       timeout: 120000, // 2 minutes timeout
-      maxBuffer: 1024 * 1024 // 1MB buffer
+      maxBuffer: 1024 * 1024, // 1MB buffer
+      signal: options.signal
     });
     
     if (stderr && !stderr.includes('UserWarning')) {
@@ -83,6 +116,14 @@ async function convert(inputPath, outputFormat, options = {}) {
     const err = new Error('Ebook processing failed');
     err.code = 'PROCESSING_ERROR';
     throw err;
+  } finally {
+    if (linkedPath) {
+      try {
+        await fs.unlink(linkedPath);
+      } catch (cleanupError) {
+        // Ignore cleanup errors
+      }
+    }
   }
 }
 
@@ -277,11 +318,7 @@ function parseEbookMetadata(metaOutput) {
  * @returns {Array} Array of supported input formats
  */
 function getSupportedInputFormats() {
-  return [
-    'epub', 'mobi', 'azw', 'azw3', 'azw4', 'fb2', 'fbz',
-    'html', 'htmlz', 'lit', 'lrf', 'pdb', 'pdf', 'pmlz',
-    'rb', 'rtf', 'snb', 'tcr', 'txt', 'txtz'
-  ];
+  return [...plugin.inputs];
 }
 
 /**
@@ -289,10 +326,7 @@ function getSupportedInputFormats() {
  * @returns {Array} Array of supported output formats
  */
 function getSupportedOutputFormats() {
-  return [
-    'epub', 'mobi', 'azw3', 'fb2', 'pdf', 'txt', 'html',
-    'rtf', 'oeb', 'pdb', 'rb', 'tcr'
-  ];
+  return Object.keys(plugin.outputs);
 }
 
 /**
@@ -302,11 +336,7 @@ function getSupportedOutputFormats() {
  * @returns {boolean} Whether conversion is supported
  */
 function isConversionSupported(inputFormat, outputFormat) {
-  const supportedInput = getSupportedInputFormats();
-  const supportedOutput = getSupportedOutputFormats();
-  
-  return supportedInput.includes(inputFormat.toLowerCase()) && 
-         supportedOutput.includes(outputFormat.toLowerCase());
+  return supportsConversion(plugin, inputFormat.toLowerCase(), outputFormat.toLowerCase());
 }
 
 /**
@@ -509,6 +539,7 @@ async function convertWithProgress(inputPath, outputFormat, options = {}, progre
 }
 
 module.exports = {
+  plugin,
   convert,
   getEbookMetadata,
   getSupportedInputFormats,
@@ -1,11 +1,37 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { definePlugin, supportsConversion } = require('./plugin');
+
+// What this converter handles; the format keyboard, /formats and validation are built from it
+const plugin = definePlugin({
+  category: 'font',
+  name: 'Fonts',
+  emoji: '🔤',
+  description: 'Typography for web and print',
+  maxSize: 5 * 1024 * 1024, // 5MB
+  inputs: ['ttf', 'otf', 'woff', 'woff2', 'eot'],
+  outputs: {
+    ttf: { label: '🔤 TTF', desc: 'TrueType' },
+    otf: { label: '🅾️ OTF', desc: 'OpenType' },
+    woff: { label: '🌐 WOFF', desc: 'Web font' },
+    eot: { label: '🪟 EOT', desc: 'Legacy Internet Explorer' }
+  },
+  // Limited conversions without external tools
+  conversions: {
+    ttf: ['otf', 'woff', 'eot'],
+    otf: ['ttf', 'woff', 'eot'],
+    woff: ['ttf', 'otf'],
+    woff2: ['woff'], // WOFF2 decompression
+    eot: ['ttf', 'otf']
+  }
+});
 
 /**
  * Convert font to specified format
  * @param {string} inputPath - Path to input font file
  * @param {string} outputFormat - Target format (ttf, otf, woff, woff2, eot)
  * @param {Object} options - Conversion options
+ * @param {string} options.inputFormat - Input format (defaults to the path's extension)
  * @returns {string} Path to converted file
  */
 async function convert(inputPath, outputFormat, options = {}) {
@@ -14,7 +40,7 @@ async function convert(inputPath, outputFormat, options = {}) {
   try {
     console.log(`Converting font: ${path.basename(inputPath)} → ${outputFormat}`);
     
-    const inputFormat = path.extname(inputPath).toLowerCase().replace('.', '');
+    const inputFormat = options.inputFormat || path.extname(inputPath).toLowerCase().replace('.', '');
     
     // Read input font file
     const fontBuffer = await fs.readFile(inputPath);
@@ -31,7 +57,7 @@ async function convert(inputPath, outputFormat, options = {}) {
     if (inputFormat === outputFormat) {
       // No conversion needed, just copy
       outputBuffer = fontBuffer;
-    } else if (isDirectConversionSupported(inputFormat, outputFormat)) {
+    } else if (supportsConversion(plugin, inputFormat, outputFormat)) {
       outputBuffer = await performFontConversion(fontBuffer, inputFormat, outputFormat, options);
     } else {
       throw new Error(`Conversion from ${inputFormat} to ${outputFormat} is not supported`);
@@ -136,27 +162,6 @@ function validateFontFormat(fontBuffer, format) {
   return validation;
 }
 
-/**
- * Check if direct conversion between formats is supported
- * @param {string} inputFormat - Input format
- * @param {string} outputFormat - Output format
- * @returns {boolean} Whether direct conversion is supported
- */
-function isDirectConversionSupported(inputFormat, outputFormat) {
-  // Currently, this is a simplified implementation
-  // In production, you'd use a font conversion library like fontkit or opentype.js
-  
-  const supportedConversions = {
-    'ttf': ['otf', 'woff', 'eot'], // Limited conversions without external tools
-    'otf': ['ttf', 'woff', 'eot'],
-    'woff': ['ttf', 'otf'],
-    'woff2': ['woff'], // WOFF2 decompression
-    'eot': ['ttf', 'otf']
-  };
-  
-  return supportedConversions[inputFormat]?.includes(outputFormat) || false;
-}
-
 /**
  * Perform font conversion (placeholder implementation)
  * @param {Buffer} inputBuffer - Input font buffer
@@ -322,7 +327,7 @@ function findNameTable(fontBuffer) {
  * @returns {Array} Array of supported input formats
  */
 function getSupportedInputFormats() {
-  return ['ttf', 'otf', 'woff', 'woff2', 'eot'];
+  return [...plugin.inputs];
 }
 
 /**
@@ -330,7 +335,7 @@ function getSupportedInputFormats() {
  * @returns {Array} Array of supported output formats
  */
 function getSupportedOutputFormats() {
-  return ['ttf', 'otf', 'woff', 'woff2', 'eot'];
+  return Object.keys(plugin.outputs);
 }
 
 /**
@@ -340,14 +345,7 @@ function getSupportedOutputFormats() {
  * @returns {boolean} Whether conversion is supported
  */
 function isConversionSupported(inputFormat, outputFormat) {
-  const supportedInput = getSupportedInputFormats();
-  const supportedOutput = getSupportedOutputFormats();
-  
-  if (!supportedInput.includes(inputFormat) || !supportedOutput.includes(outputFormat)) {
-    return false;
-  }
-  
-  return isDirectConversionSupported(inputFormat, outputFormat);
+  return supportsConversion(plugin, inputFormat.toLowerCase(), outputFormat.toLowerCase());
 }
 
 /**
@@ -421,6 +419,7 @@ function estimateOutputSize(metadata, outputFormat) {
 }
 
 module.exports = {
+  plugin,
   convert,
   getFontMetadata,
   getSupportedInputFormats,
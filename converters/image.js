@@ -1,12 +1,34 @@
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
+const { definePlugin, supportsConversion } = require('./plugin');
+
+// What this converter handles; the format keyboard, /formats and validation are built from it
+const plugin = definePlugin({
+  category: 'image',
+  name: 'Images',
+  emoji: '🖼',
+  description: 'Photos, graphics, logos, and artwork',
+  maxSize: 20 * 1024 * 1024, // 20MB
+  inputs: ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff', 'tif', 'avif', 'heic', 'svg'],
+  outputs: {
+    png: { label: '📱 PNG', desc: 'Best for transparency' },
+    jpg: { label: '📷 JPG', desc: 'Smaller file size' },
+    webp: { label: '🌐 WEBP', desc: 'Modern web format' },
+    avif: { label: '✨ AVIF', desc: 'Next-gen compression' },
+    tiff: { label: '🗂 TIFF', desc: 'Print and archiving' }
+  },
+  options: {
+    quality: { values: ['low', 'medium', 'high'], default: 'medium' }
+  }
+});
 
 /**
  * Convert image to specified format using Sharp
  * @param {string} inputPath - Path to input image file
  * @param {string} outputFormat - Target format (png, jpg, webp, etc.)
  * @param {Object} options - Conversion options
+ * @param {string} options.inputFormat - Input format (Sharp reads the content itself, this is for logs)
  * @returns {string} Path to converted file
  */
 async function convert(inputPath, outputFormat, options = {}) {
@@ -17,7 +39,7 @@ async function convert(inputPath, outputFormat, options = {}) {
     
     // Get image metadata
     const metadata = await sharpInstance.metadata();
-    console.log(`Converting image: ${metadata.width}x${metadata.height}, format: ${metadata.format}`);
+    console.log(`Converting image: ${metadata.width}x${metadata.height}, format: ${metadata.format} (detected ${options.inputFormat || 'unknown'})`);
     
     // Apply quality settings based on user preference
     const qualitySettings = getQualitySettings(options.quality || 'medium');
@@ -53,10 +75,6 @@ async function convert(inputPath, outputFormat, options = {}) {
         });
         break;
         
-      case 'bmp':
-        sharpInstance = sharpInstance.png(); // Convert to PNG first, then to BMP
-        break;
-        
       case 'tiff':
       case 'tif':
         sharpInstance = sharpInstance.tiff({
@@ -65,18 +83,6 @@ async function convert(inputPath, outputFormat, options = {}) {
         });
         break;
         
-      case 'gif':
-        // Sharp doesn't support GIF output, convert to PNG
-        sharpInstance = sharpInstance.png();
-        break;
-        
-      case 'ico':
-        // Resize to common icon size and convert to PNG
-        sharpInstance = sharpInstance
-          .resize(256, 256, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
-          .png();
-        break;
-        
       default:
         throw new Error(`Unsupported output format: ${outputFormat}`);
     }
@@ -206,7 +212,7 @@ async function convertToICO(pngPath) {
  * @returns {Array} Array of supported input formats
  */
 function getSupportedInputFormats() {
-  return ['jpeg', 'jpg', 'png', 'webp', 'gif', 'svg', 'tiff', 'tif', 'avif', 'heic', 'raw'];
+  return [...plugin.inputs];
 }
 
 /**
@@ -214,7 +220,7 @@ function getSupportedInputFormats() {
  * @returns {Array} Array of supported output formats
  */
 function getSupportedOutputFormats() {
-  return ['jpeg', 'jpg', 'png', 'webp', 'avif', 'tiff', 'tif', 'bmp', 'ico'];
+  return Object.keys(plugin.outputs);
 }
 
 /**
@@ -224,11 +230,7 @@ function getSupportedOutputFormats() {
  * @returns {boolean} Whether conversion is supported
  */
 function isConversionSupported(inputFormat, outputFormat) {
-  const supportedInput = getSupportedInputFormats();
-  const supportedOutput = getSupportedOutputFormats();
-  
-  return supportedInput.includes(inputFormat.toLowerCase()) && 
-         supportedOutput.includes(outputFormat.toLowerCase());
+  return supportsConversion(plugin, inputFormat.toLowerCase(), outputFormat.toLowerCase());
 }
 
 /**
@@ -295,6 +297,7 @@ function estimateOutputSize(metadata, outputFormat, quality) {
 }
 
 module.exports = {
+  plugin,
   convert,
   getSupportedInputFormats,
   getSupportedOutputFormats,
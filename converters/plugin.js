@@ -0,0 +1,51 @@
+const { isSameFormat } = require('../utils/fileSignatures');
+
+/**
+ * Declare what a converter module handles, for converters/registry.js
+ * @param {Object} spec - Plugin declaration
+ * @param {string} spec.category - File type category, must match the converter's module name
+ * @param {string} spec.name - Display name, e.g. "Images"
+ * @param {string} spec.emoji - Category emoji
+ * @param {string} spec.description - One line for /formats
+ * @param {number} spec.maxSize - Largest input in bytes (paid plans multiply it)
+ * @param {Array<string>} spec.inputs - Input formats
+ * @param {Object} spec.outputs - Output format -> { label, desc } for the format keyboard
+ * @param {Object} spec.conversions - Input format -> outputs, for inputs that can't become every output
+ * @param {Object} spec.options - Option name -> { values, default } accepted by convert()
+ * @returns {Object} Plugin
+ */
+function definePlugin(spec) {
+  return Object.freeze({ conversions: {}, options: {}, ...spec });
+}
+
+/**
+ * Get the outputs an input format can be converted to (never the input format itself)
+ * @param {Object} plugin - Plugin
+ * @param {string} inputFormat - Input format
+ * @returns {Array<string>} Output formats
+ */
+function getPluginTargets(plugin, inputFormat) {
+  if (!plugin.inputs.includes(inputFormat)) {
+    return [];
+  }
+  
+  const targets = plugin.conversions[inputFormat] || Object.keys(plugin.outputs);
+  return targets.filter(format => !isSameFormat(inputFormat, format));
+}
+
+/**
+ * Check if a plugin converts one format to another
+ * @param {Object} plugin - Plugin
+ * @param {string} inputFormat - Input format
+ * @param {string} outputFormat - Output format
+ * @returns {boolean} Whether the conversion is supported
+ */
+function supportsConversion(plugin, inputFormat, outputFormat) {
+  return getPluginTargets(plugin, inputFormat).includes(outputFormat);
+}
+
+module.exports = {
+  definePlugin,
+  getPluginTargets,
+  supportsConversion
+};
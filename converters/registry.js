@@ -0,0 +1,106 @@
+const { getPluginTargets, supportsConversion } = require('./plugin');
+
+// Converter modules, in the order categories are shown to users
+const CONVERTER_MODULES = ['document', 'image', 'audio', 'ebook', 'font', 'subtitle'];
+
+// category -> plugin declaration with its converter module
+const plugins = new Map();
+
+for (const moduleName of CONVERTER_MODULES) {
+  const converter = require(`./${moduleName}`);
+  const { plugin } = converter;
+  
+  // Workers load converters by category name (see workers/converterWorker.js)
+  if (!plugin || plugin.category !== moduleName || typeof converter.convert !== 'function') {
+    throw new Error(`Converter module ${moduleName} does not declare a matching plugin`);
+  }
+  
+  plugins.set(plugin.category, { ...plugin, converter });
+}
+
+/**
+ * Get every registered plugin
+ * @returns {Array<Object>} Plugins in display order
+ */
+function getPlugins() {
+  return [...plugins.values()];
+}
+
+/**
+ * Get the plugin of a category
+ * @param {string} category - File type category
+ * @returns {Object|undefined} Plugin
+ */
+function getPlugin(category) {
+  return plugins.get(category);
+}
+
+/**
+ * Find the category that accepts an input format
+ * @param {string} format - Input format or file extension
+ * @returns {string|null} File type category
+ */
+function findCategory(format) {
+  const normalized = (format || '').toLowerCase();
+  const plugin = getPlugins().find(item => item.inputs.includes(normalized));
+  return plugin ? plugin.category : null;
+}
+
+/**
+ * Get the output formats offered for an input, with their button labels
+ * @param {string} category - File type category
+ * @param {string} inputFormat - Input format
+ * @returns {Array<Object>} [{ format, label, desc }]
+ */
+function getTargets(category, inputFormat) {
+  const plugin = getPlugin(category);
+  if (!plugin) {
+    return [];
+  }
+  
+  return getPluginTargets(plugin, inputFormat).map(format => ({ format, ...plugin.outputs[format] }));
+}
+
+/**
+ * Check if a conversion is supported
+ * @param {string} category - File type category
+ * @param {string} inputFormat - Input format
+ * @param {string} outputFormat - Output format
+ * @returns {boolean} Whether the conversion is supported
+ */
+function isConversionSupported(category, inputFormat, outputFormat) {
+  const plugin = getPlugin(category);
+  return Boolean(plugin) && supportsConversion(plugin, inputFormat, outputFormat);
+}
+
+/**
+ * Check conversion options against a category's option schema and fill in defaults
+ * @param {string} category - File type category
+ * @param {Object} options - Requested options
+ * @returns {Object} Options the converter accepts (unknown ones are dropped)
+ * @throws {Error} INVALID_OPTION when a value isn't allowed
+ */
+function resolveOptions(category, options = {}) {
+  const resolved = {};
+  
+  for (const [name, schema] of Object.entries(getPlugin(category)?.options || {})) {
+    const value = options[name] ?? schema.default;
+    if (!schema.values.includes(value)) {
+      const err = new Error(`Invalid ${name} for ${category} conversion: ${value}`);
+      err.code = 'INVALID_OPTION';
+      throw err;
+    }
+    resolved[name] = value;
+  }
+  
+  return resolved;
+}
+
+module.exports = {
+  getPlugins,
+  getPlugin,
+  findCategory,
+  getTargets,
+  isConversionSupported,
+  resolveOptions
+};
@@ -1,11 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { definePlugin, supportsConversion } = require('./plugin');
+
+// What this converter handles; the format keyboard, /formats and validation are built from it
+const plugin = definePlugin({
+  category: 'subtitle',
+  name: 'Subtitles',
+  emoji: '💬',
+  description: 'Video captions and subtitles',
+  maxSize: 1 * 1024 * 1024, // 1MB
+  inputs: ['srt', 'vtt', 'ass', 'ssa', 'sub', 'sbv'],
+  outputs: {
+    srt: { label: '💬 SRT', desc: 'Most compatible' },
+    vtt: { label: '🌐 VTT', desc: 'Web standard' },
+    ass: { label: '🎬 ASS', desc: 'Advanced styling' },
+    ssa: { label: '🎞 SSA', desc: 'SubStation Alpha' },
+    sub: { label: '📝 SUB', desc: 'MicroDVD' },
+    sbv: { label: '▶️ SBV', desc: 'YouTube captions' }
+  }
+});
 
 /**
  * Convert subtitle to specified format
  * @param {string} inputPath - Path to input subtitle file
  * @param {string} outputFormat - Target format (srt, vtt, ass, etc.)
  * @param {Object} options - Conversion options
+ * @param {string} options.inputFormat - Input format (defaults to the path's extension)
  * @returns {string} Path to converted file
  */
 async function convert(inputPath, outputFormat, options = {}) {
@@ -14,7 +34,7 @@ async function convert(inputPath, outputFormat, options = {}) {
   try {
     console.log(`Converting subtitle: ${path.basename(inputPath)} → ${outputFormat}`);
     
-    const inputFormat = path.extname(inputPath).toLowerCase().replace('.', '');
+    const inputFormat = options.inputFormat || path.extname(inputPath).toLowerCase().replace('.', '');
     
     // Read and parse input subtitle file
     const inputContent = await fs.readFile(inputPath, 'utf8');
@@ -505,7 +525,7 @@ function millisecondsToSBVTime(milliseconds) {
  * @returns {Array} Array of supported input formats
  */
 function getSupportedInputFormats() {
-  return ['srt', 'vtt', 'ass', 'ssa', 'sub', 'sbv'];
+  return [...plugin.inputs];
 }
 
 /**
@@ -513,7 +533,7 @@ function getSupportedInputFormats() {
  * @returns {Array} Array of supported output formats
  */
 function getSupportedOutputFormats() {
-  return ['srt', 'vtt', 'ass', 'ssa', 'sub', 'sbv'];
+  return Object.keys(plugin.outputs);
 }
 
 /**
@@ -523,11 +543,7 @@ function getSupportedOutputFormats() {
  * @returns {boolean} Whether conversion is supported
  */
 function isConversionSupported(inputFormat, outputFormat) {
-  const supportedInput = getSupportedInputFormats();
-  const supportedOutput = getSupportedOutputFormats();
-  
-  return supportedInput.includes(inputFormat.toLowerCase()) && 
-         supportedOutput.includes(outputFormat.toLowerCase());
+  return supportsConversion(plugin, inputFormat.toLowerCase(), outputFormat.toLowerCase());
 }
 
 /**
@@ -626,6 +642,7 @@ function validateSubtitle(content, format) {
 }
 
 module.exports = {
+  plugin,
   convert,
   getSupportedInputFormats,
   getSupportedOutputFormats,
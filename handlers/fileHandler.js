@@ -1,135 +1,83 @@
 const { Markup } = require('telegraf');
-const { deductCredit } = require('../utils/credits');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { reserveCredits, commitCredits, releaseCredits, hasEnoughCredits, getTimeUntilReset } = require('../utils/credits');
+const { getConversionPrice, formatPrice } = require('../utils/pricing');
+const { getUserPlan, getMaxFileSize, canUseTarget } = require('../utils/plans');
+const { addToQueue, hasReachedQueueLimit, claimQueueSlot, getQueueLimit, isAcceptingJobs, findJob, cancelJob } = require('../utils/queue');
+const { runConverter } = require('../utils/workerProcess');
+const { rewardReferral } = require('../utils/referrals');
+const { SNIFF_BYTES, sniffFormat, looksLikeText, isSameFormat } = require('../utils/fileSignatures');
+const { getPlugin, findCategory, getTargets, isConversionSupported, resolveOptions } = require('../converters/registry');
+const mime = require('mime-types');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs').promises;
 
-// Import converters
-const imageConverter = require('../converters/image');
-const documentConverter = require('../converters/document');
-const audioConverter = require('../converters/audio');
-const ebookConverter = require('../converters/ebook');
-const fontConverter = require('../converters/font');
-const subtitleConverter = require('../converters/subtitle');
-
-// File type mappings with detailed info
-const FILE_TYPES = {
-  image: {
-    extensions: ['jpg', 'jpeg', 'png', 'webp', 'bmp', 'gif', 'tiff', 'tif', 'heic', 'avif', 'ico', 'svg'],
-    maxSize: 20 * 1024 * 1024, // 20MB
-    converter: imageConverter
-  },
-  document: {
-    extensions: ['pdf', 'doc', 'docx', 'txt', 'rtf', 'odt'],
-    maxSize: 20 * 1024 * 1024, // 20MB
-    converter: documentConverter
-  },
-  audio: {
-    extensions: ['mp3', 'wav', 'ogg', 'flac', 'm4a', 'aac'],
-    maxSize: 50 * 1024 * 1024, // 50MB
-    converter: audioConverter
-  },
-  ebook: {
-    extensions: ['epub', 'mobi', 'azw3', 'fb2', 'cbz', 'djvu'],
-    maxSize: 10 * 1024 * 1024, // 10MB
-    converter: ebookConverter
-  },
-  font: {
-    extensions: ['ttf', 'otf', 'woff', 'woff2', 'eot'],
-    maxSize: 5 * 1024 * 1024, // 5MB
-    converter: fontConverter
-  },
-  subtitle: {
-    extensions: ['srt', 'vtt', 'ass', 'ssa', 'sub', 'sbv'],
-    maxSize: 1 * 1024 * 1024, // 1MB
-    converter: subtitleConverter
-  }
+// Extensions mime-types picks for MIME types that have a better-known one
+const MIME_EXTENSION_FIXES = {
+  mpga: 'mp3',
+  oga: 'ogg'
 };
 
 /**
- * Detect file type from filename or mime type
+ * Detect file type from content, falling back to the filename and mime type
  * @param {string} filename - File name
  * @param {string} mimeType - MIME type
- * @returns {string} File type category
+ * @param {Buffer} head - First bytes of the file (null when they couldn't be read)
+ * @returns {Object} { fileType, format, declaredFormat, conflict } where fileType is 'unknown' when unsupported
  */
-function detectFileType(filename, mimeType = '') {
-  // First try by extension
-  const ext = path.extname(filename).toLowerCase().replace('.', '');
+function detectFileType(filename, mimeType = '', head = null) {
+  const declaredFormat = path.extname(filename).toLowerCase().replace('.', '');
   
-  for (const [type, config] of Object.entries(FILE_TYPES)) {
-    if (config.extensions.includes(ext)) {
-      return type;
-    }
+  // The content's signature wins over whatever the name claims
+  const sniffed = sniffFormat(head);
+  if (sniffed) {
+    // Recognised, but no converter takes it (e.g. BMP or ICO images)
+    const accepted = getPlugin(sniffed.category)?.inputs.includes(sniffed.format);
+    return {
+      fileType: accepted ? sniffed.category : 'unknown',
+      format: sniffed.format,
+      declaredFormat,
+      conflict: Boolean(declaredFormat) && !isSameFormat(declaredFormat, sniffed.format)
+    };
+  }
+  
+  // Then by extension
+  const byExtension = findCategory(declaredFormat);
+  if (byExtension) {
+    return { fileType: byExtension, format: declaredFormat, declaredFormat, conflict: false };
+  }
+  
+  // Fallback to the format the MIME type names
+  const mimeExtension = mimeType ? mime.extension(mimeType) : false;
+  const byMime = mimeExtension && (MIME_EXTENSION_FIXES[mimeExtension] || mimeExtension);
+  const byMimeCategory = byMime && findCategory(byMime);
+  if (byMimeCategory) {
+    return { fileType: byMimeCategory, format: byMime, declaredFormat, conflict: false };
   }
   
-  // Fallback to MIME type detection
-  if (mimeType) {
-    if (mimeType.startsWith('image/')) return 'image';
-    if (mimeType.startsWith('audio/')) return 'audio';
-    if (mimeType.includes('pdf')) return 'document';
-    if (mimeType.includes('document')) return 'document';
-    if (mimeType.includes('text')) return 'document';
+  // Text without a name or a known signature is converted as a plain text document
+  if (head && looksLikeText(head)) {
+    return { fileType: 'document', format: 'txt', declaredFormat, conflict: false };
   }
   
-  return 'unknown';
+  return { fileType: 'unknown', format: null, declaredFormat, conflict: false };
 }
 
 /**
- * Get conversion options for file type
+ * Get the format buttons for a file, as declared by its converter plugin
  * @param {string} fileType - File type category
- * @param {string} currentExtension - Current file extension
+ * @param {string} inputFormat - Format of the file
  * @returns {Array} Array of conversion options
  */
-function getConversionOptions(fileType, currentExtension) {
-  const options = {
-    image: [
-      { text: '📱 PNG', callback_data: 'convert_png', desc: 'Best for transparency' },
-      { text: '📷 JPG', callback_data: 'convert_jpg', desc: 'Smaller file size' },
-      { text: '🌐 WEBP', callback_data: 'convert_webp', desc: 'Modern web format' },
-      { text: '🎨 BMP', callback_data: 'convert_bmp', desc: 'Uncompressed' },
-      { text: '🖼️ GIF', callback_data: 'convert_gif', desc: 'Animations' },
-      { text: '🏢 ICO', callback_data: 'convert_ico', desc: 'Icon format' }
-    ],
-    document: [
-      { text: '📄 PDF', callback_data: 'convert_pdf', desc: 'Preserve formatting' },
-      { text: '📝 DOCX', callback_data: 'convert_docx', desc: 'Editable document' },
-      { text: '📜 TXT', callback_data: 'convert_txt', desc: 'Plain text' },
-      { text: '📋 RTF', callback_data: 'convert_rtf', desc: 'Rich text' },
-      { text: '📄 ODT', callback_data: 'convert_odt', desc: 'OpenOffice' }
-    ],
-    audio: [
-      { text: '🎵 MP3', callback_data: 'convert_mp3', desc: 'Most compatible' },
-      { text: '🎶 WAV', callback_data: 'convert_wav', desc: 'Lossless quality' },
-      { text: '🔊 OGG', callback_data: 'convert_ogg', desc: 'Open source' },
-      { text: '💿 FLAC', callback_data: 'convert_flac', desc: 'Lossless compression' },
-      { text: '📱 M4A', callback_data: 'convert_m4a', desc: 'Apple format' }
-    ],
-    ebook: [
-      { text: '📚 EPUB', callback_data: 'convert_epub', desc: 'Universal ebook' },
-      { text: '📖 MOBI', callback_data: 'convert_mobi', desc: 'Kindle format' },
-      { text: '📗 FB2', callback_data: 'convert_fb2', desc: 'FictionBook' },
-      { text: '📘 AZW3', callback_data: 'convert_azw3', desc: 'Kindle KF8' }
-    ],
-    font: [
-      { text: '🔤 TTF', callback_data: 'convert_ttf', desc: 'TrueType' },
-      { text: '🅾️ OTF', callback_data: 'convert_otf', desc: 'OpenType' },
-      { text: '🌐 WOFF', callback_data: 'convert_woff', desc: 'Web font' },
-      { text: '⚡ WOFF2', callback_data: 'convert_woff2', desc: 'Modern web' }
-    ],
-    subtitle: [
-      { text: '💬 SRT', callback_data: 'convert_srt', desc: 'Most compatible' },
-      { text: '🌐 VTT', callback_data: 'convert_vtt', desc: 'Web standard' },
-      { text: '🎬 ASS', callback_data: 'convert_ass', desc: 'Advanced styling' },
-      { text: '📝 SUB', callback_data: 'convert_sub', desc: 'MicroDVD' }
-    ]
-  };
-  
-  const typeOptions = options[fileType] || [];
-  
-  // Filter out current format
-  return typeOptions.filter(option => {
-    const targetExt = option.callback_data.replace('convert_', '');
-    return targetExt !== currentExtension.toLowerCase();
-  });
+function getConversionOptions(fileType, inputFormat) {
+  return getTargets(fileType, (inputFormat || '').toLowerCase()).map(target => ({
+    text: target.label,
+    callback_data: `convert_${target.format}`,
+    desc: target.desc
+  }));
 }
 
 /**
@@ -174,21 +122,23 @@ async function getFileInfo(ctx) {
 
 /**
  * Download file from Telegram with retry logic
- * @param {Object} ctx - Telegraf context
- * @param {Object} fileInfo - File information
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {string} fileId - Telegram file_id
+ * @param {number} maxRetries - Download attempts
+ * @param {AbortSignal} signal - Aborts the download when the job is cancelled
  * @returns {string} Local file path
  */
-async function downloadFile(ctx, fileInfo, maxRetries = 3) {
+async function downloadFile(telegram, fileId, maxRetries = 3, signal = undefined) {
   let lastError;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`Downloading file (attempt ${attempt}/${maxRetries}): ${fileInfo.file_id}`);
+      console.log(`Downloading file (attempt ${attempt}/${maxRetries}): ${fileId}`);
       
-      const fileLink = await ctx.telegram.getFileLink(fileInfo.file_id);
+      const fileLink = await telegram.getFileLink(fileId);
       console.log(`File link obtained: ${fileLink}`);
       
-      const response = await fetch(fileLink.toString());
+      const response = await fetch(fileLink.toString(), { signal });
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -200,7 +150,7 @@ async function downloadFile(ctx, fileInfo, maxRetries = 3) {
         throw new Error('Downloaded file is empty');
       }
       
-      const tempPath = path.join('/tmp', `input_${Date.now()}_${fileInfo.file_id}`);
+      const tempPath = path.join('/tmp', `input_${Date.now()}_${fileId}`);
       await fs.writeFile(tempPath, Buffer.from(buffer));
       
       // Verify file was written
@@ -216,6 +166,10 @@ async function downloadFile(ctx, fileInfo, maxRetries = 3) {
       console.error(`Download attempt ${attempt} failed:`, error);
       lastError = error;
       
+      if (signal?.aborted) {
+        throw error;
+      }
+      
       if (attempt < maxRetries) {
         // Wait before retry (exponential backoff)
         const delay = Math.pow(2, attempt) * 1000;
@@ -227,6 +181,61 @@ async function downloadFile(ctx, fileInfo, maxRetries = 3) {
   throw new Error(`Failed to download file after ${maxRetries} attempts: ${lastError.message}`);
 }
 
+/**
+ * Download the first bytes of a file from Telegram for content sniffing
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {string} fileId - Telegram file_id
+ * @param {number} maxBytes - Bytes to read
+ * @returns {Promise<Buffer>} File start
+ */
+async function downloadFileHead(telegram, fileId, maxBytes = SNIFF_BYTES) {
+  const fileLink = await telegram.getFileLink(fileId);
+  const response = await fetch(fileLink.toString(), { headers: { Range: `bytes=0-${maxBytes - 1}` } });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  // Servers that ignore Range send the whole file, so stop reading once there's enough
+  const chunks = [];
+  let received = 0;
+  const reader = response.body.getReader();
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+  }
+  await reader.cancel();
+  
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+/**
+ * Work out the format of a downloaded input file, which is saved without an extension.
+ * Its content decides; jobs queued before formats were stored fall back to the file name.
+ * @param {string} inputPath - Downloaded file
+ * @param {Object} job - Job document
+ * @returns {Promise<string>} Input format, e.g. 'srt'
+ */
+async function detectInputFormat(inputPath, job) {
+  const handle = await fs.open(inputPath, 'r');
+  let head;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  
+  const { fileType, format } = detectFileType(job.fileName, '', head);
+  if (fileType === job.fileType && format) {
+    return format;
+  }
+  
+  return job.inputFormat || path.extname(job.fileName).toLowerCase().replace('.', '');
+}
+
 /**
  * Process uploaded file and show conversion options
  * @param {Object} ctx - Telegraf context
@@ -256,8 +265,15 @@ async function processFile(ctx, options = {}) {
       return;
     }
     
-    // Detect file type
-    const fileType = detectFileType(filename, fileInfo.mime_type);
+    // Detect file type from the content where possible
+    let head = null;
+    try {
+      head = await downloadFileHead(ctx.telegram, fileInfo.file_id);
+    } catch (error) {
+      console.error('Could not read file start, detecting by name:', error.message);
+    }
+    
+    const { fileType, format, declaredFormat, conflict } = detectFileType(filename, fileInfo.mime_type, head);
     
     if (fileType === 'unknown') {
       await ctx.telegram.editMessageText(
@@ -269,60 +285,54 @@ async function processFile(ctx, options = {}) {
       return;
     }
     
-    // Check file size limits
-    const typeConfig = FILE_TYPES[fileType];
-    if (fileSize && fileSize > typeConfig.maxSize) {
-      const maxSizeMB = Math.round(typeConfig.maxSize / (1024 * 1024));
+    // Check file size limits (paid plans allow bigger files)
+    const plugin = getPlugin(fileType);
+    const maxSize = getMaxFileSize(plugin.maxSize, ctx.user);
+    if (fileSize && fileSize > maxSize) {
+      const maxSizeMB = Math.round(maxSize / (1024 * 1024));
+      const upgradeHint = getUserPlan(ctx.user).id === 'free' ? '\n\n📅 Pro and Business plans allow bigger files, see /plan.' : '';
       await ctx.telegram.editMessageText(
         ctx.chat.id,
         progressMsg.message_id,
         undefined,
-        `❌ File too large! Maximum size for ${fileType} files is ${maxSizeMB}MB.`
+        `❌ File too large! Maximum size for ${fileType} files is ${maxSizeMB}MB.${upgradeHint}`
       );
       return;
     }
     
     // Get conversion options
-    const currentExtension = path.extname(filename).replace('.', '');
-    const conversionOptions = getConversionOptions(fileType, currentExtension);
+    const conversionOptions = getConversionOptions(fileType, format || declaredFormat);
     
     if (conversionOptions.length === 0) {
       await ctx.telegram.editMessageText(
         ctx.chat.id,
         progressMsg.message_id,
         undefined,
-        '🔄 This file is already in the most optimal format! No conversion needed.'
+        `🔄 ${(format || declaredFormat).toUpperCase()} files can't be converted to anything else yet. Use /formats to see supported conversions.`
       );
       return;
     }
     
-    // Store file info in session for callback
-    ctx.session = ctx.session || {};
-    ctx.session.fileInfo = fileInfo;
-    ctx.session.filename = filename;
-    ctx.session.fileType = fileType;
-    ctx.session.fileSize = fileSize;
+    // Every keyboard carries its own token, so it converts the file it was shown for
+    const token = savePendingFile(ctx, { fileId: fileInfo.file_id, filename, fileType, fileSize, format });
     
-    // Create keyboard with conversion options
+    // Create keyboard with conversion options and their price
     const keyboard = [];
     for (let i = 0; i < conversionOptions.length; i += 2) {
-      const row = conversionOptions.slice(i, i + 2).map(option => 
-        Markup.button.callback(option.text, option.callback_data)
-      );
+      const row = conversionOptions.slice(i, i + 2).map(option => {
+        const targetFormat = option.callback_data.replace('convert_', '');
+        const callbackData = `${option.callback_data}:${token}`;
+        if (!canUseTarget(ctx.user, fileType, targetFormat)) {
+          return Markup.button.callback(`🔒 ${option.text} · Pro`, callbackData);
+        }
+        const price = getConversionPrice(fileType, targetFormat, fileSize);
+        return Markup.button.callback(`${option.text} · ${formatPrice(price)}`, callbackData);
+      });
       keyboard.push(row);
     }
-    keyboard.push([Markup.button.callback('❌ Cancel', 'cancel_convert')]);
+    keyboard.push([Markup.button.callback('❌ Cancel', `cancel_convert:${token}`)]);
     
     // Show conversion options
-    const fileTypeEmoji = {
-      'image': '🖼️',
-      'document': '📄',
-      'audio': '🎵',
-      'ebook': '📚',
-      'font': '🔤',
-      'subtitle': '💬'
-    };
-    
     const escapeMarkdown = (text) => {
       return text.replace(/([_\*\[\]()~`>#+\-=|{}.!])/g, '\\$1');
     };
@@ -335,10 +345,11 @@ async function processFile(ctx, options = {}) {
       ctx.chat.id,
       progressMsg.message_id,
       undefined,
-      `${fileTypeEmoji[fileType]} **File Ready for Conversion**\n\n` +
+      `${plugin.emoji} **File Ready for Conversion**\n\n` +
       `📁 **Name:** ${safeFilename}\n` +
       `📊 **Type:** ${safeFileType}\n` +
       `📏 **Size:** ${fileSizeMB}MB\n\n` +
+      (conflict ? `⚠️ The name says ${escapeMarkdown(declaredFormat.toUpperCase())}, but the content is ${format.toUpperCase()}. It will be converted as ${format.toUpperCase()}.\n\n` : '') +
       `⚡ **Choose output format:**`,
       {
         parse_mode: 'Markdown',
@@ -372,141 +383,466 @@ async function processFile(ctx, options = {}) {
   }
 }
 
+// Conversion errors that will fail the same way on every attempt
+const PERMANENT_ERROR_CODES = [
+  'UNSUPPORTED_FORMAT',
+  'FILE_TOO_LARGE',
+  'CORRUPTED_FILE',
+  'CONVERTER_NOT_FOUND',
+  'MEMORY_LIMIT_EXCEEDED', // the same file hits the worker limits again
+  'CPU_LIMIT_EXCEEDED',
+  'INSUFFICIENT_CREDITS',
+  'INVALID_OPTION'
+];
+
+// How long a format keyboard stays usable, and how many can be open per chat
+const PENDING_FILE_TTL = 60 * 60 * 1000; // 1 hour
+const MAX_PENDING_FILES = 10;
+
 /**
- * Handle file conversion with improved error handling
+ * Remember an uploaded file until one of its format buttons is pressed
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} file - { fileId, filename, fileType, fileSize, format }
+ * @returns {string} Token for the keyboard's callback data
+ */
+function savePendingFile(ctx, file) {
+  ctx.session = ctx.session || {};
+  const now = Date.now();
+  
+  // Drop expired files, then the oldest ones beyond the limit
+  const pending = Object.entries(ctx.session.pendingFiles || {})
+    .filter(([, entry]) => now - entry.createdAt < PENDING_FILE_TTL)
+    .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+    .slice(-(MAX_PENDING_FILES - 1));
+  
+  const token = crypto.randomBytes(6).toString('base64url');
+  ctx.session.pendingFiles = Object.fromEntries([...pending, [token, { ...file, createdAt: now }]]);
+  
+  return token;
+}
+
+/**
+ * Look up the file a keyboard was shown for
+ * @param {Object} ctx - Telegraf context
+ * @param {string} token - Token from the callback data
+ * @returns {Object|null} Pending file, null when unknown or expired
+ */
+function getPendingFile(ctx, token) {
+  const entry = ctx.session?.pendingFiles?.[token];
+  if (!entry || Date.now() - entry.createdAt >= PENDING_FILE_TTL) {
+    return null;
+  }
+  
+  return entry;
+}
+
+/**
+ * Forget a pending file once it has been queued or cancelled
+ * @param {Object} ctx - Telegraf context
+ * @param {string} token - Token from the callback data
+ */
+function dropPendingFile(ctx, token) {
+  if (ctx.session?.pendingFiles) {
+    delete ctx.session.pendingFiles[token];
+  }
+}
+
+/**
+ * Queue a conversion job for the file a keyboard was shown for
  * @param {Object} ctx - Telegraf context
  * @param {string} targetFormat - Target conversion format
+ * @param {string} token - Pending file token from the callback data
+ */
+async function queueConversion(ctx, targetFormat, token) {
+  const file = getPendingFile(ctx, token);
+  
+  if (!file) {
+    return ctx.editMessageText('⌛ These options have expired. Please upload the file again.');
+  }
+  
+  // Callback data comes from the client, so only offer what the converter declares
+  const inputFormat = file.format || path.extname(file.filename).toLowerCase().replace('.', '');
+  if (!isConversionSupported(file.fileType, inputFormat, targetFormat)) {
+    return ctx.reply(`❌ Converting ${inputFormat.toUpperCase()} to ${targetFormat.toUpperCase()} is not supported.`);
+  }
+  
+  // Keep the keyboard and pending file so the user can pick a format again later
+  if (!isAcceptingJobs()) {
+    return ctx.reply('🚧 The bot is restarting for maintenance and not taking new conversions right now. Please tap a format again in a few minutes.');
+  }
+  
+  if (hasReachedQueueLimit(ctx.from.id)) {
+    return ctx.reply(
+      `⏳ You already have ${getQueueLimit()} conversion(s) in progress, which is the limit per user.\n\n` +
+      `Please wait for them to finish or use /cancel, then tap a format again.`
+    );
+  }
+  
+  // Premium targets stay on the keyboard (locked) so free users can see what upgrading unlocks
+  if (!canUseTarget(ctx.user, file.fileType, targetFormat)) {
+    return ctx.reply(
+      `🔒 ${targetFormat.toUpperCase()} output is part of the Pro and Business plans.`,
+      Markup.inlineKeyboard([[Markup.button.callback('📅 View Plans', 'view_plans')]])
+    );
+  }
+  
+  const price = getConversionPrice(file.fileType, targetFormat, file.fileSize);
+  const notEnoughCredits = () => ctx.reply(
+    `❌ Not enough credits! This conversion costs ${formatPrice(price)}, ` +
+    `you have ${ctx.user.freeCredits + ctx.user.paidCredits}. Your free credits refill in ${getTimeUntilReset(ctx.user)}.`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback('🛒 Buy Credits', 'buy_credits')],
+      [Markup.button.callback('📊 View Credits', 'view_credits')]
+    ])
+  );
+  
+  if (!hasEnoughCredits(ctx.user, price)) {
+    return notEnoughCredits();
+  }
+  
+  // Take the file and a queue slot before any await, so a double tap can't queue it twice
+  // and taps on several files can't get past the queue limit together
+  dropPendingFile(ctx, token);
+  const releaseSlot = claimQueueSlot(ctx.from.id);
+  
+  // Hold the credits now so queued jobs can never spend more than the balance
+  const jobId = uuidv4();
+  let creditBreakdown;
+  try {
+    creditBreakdown = await reserveCredits(ctx.from.id, price, { jobId });
+  } catch (error) {
+    releaseSlot();
+    ctx.session.pendingFiles[token] = file;
+    if (error.code === 'INSUFFICIENT_CREDITS') {
+      return notEnoughCredits();
+    }
+    throw error;
+  }
+  
+  // Everything the job needs is stored with it, so it can be replayed after a restart
+  const jobData = {
+    jobId: jobId,
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    messageId: ctx.callbackQuery.message.message_id,
+    fileId: file.fileId,
+    fileName: file.filename,
+    fileType: file.fileType,
+    fileSize: file.fileSize,
+    inputFormat: file.format,
+    targetFormat: targetFormat,
+    lane: ctx.user.hasPriorityLane() ? 'priority' : 'standard',
+    options: {
+      quality: ctx.user.preferences?.defaultQuality || 'medium'
+    },
+    creditStatus: 'reserved',
+    creditAmount: price,
+    creditBreakdown: creditBreakdown,
+    creditReservedAt: new Date()
+  };
+  
+  try {
+    await ctx.editMessageText(
+      `📋 **Queued:** ${jobData.fileType.toUpperCase()} → ${targetFormat.toUpperCase()} (${formatPrice(price)})\n\n⏳ Waiting for a free converter...`,
+      getCancelKeyboard(jobData.jobId)
+    );
+    
+    return await addToQueue(jobData, releaseSlot);
+  } catch (error) {
+    releaseSlot();
+    await releaseCredits(ctx.from.id, creditBreakdown, jobData.creditReservedAt, { jobId });
+    throw error;
+  }
+}
+
+/**
+ * Commit or release a job's reserved credits. Only the first call has an
+ * effect, so a cancel racing a delivery or a retry can never settle twice.
+ * When committing or releasing fails, the credits stay reserved.
+ * @param {Object} job - Job document
+ * @param {string} outcome - 'commit' after delivery, 'release' on failure or cancel
+ * @returns {number} Number of credits returned to the user
  */
-async function handleConversion(ctx, targetFormat) {
-  const session = ctx.session || {};
+async function settleJobCredit(job, outcome) {
+  if (job.creditStatus !== 'reserved') {
+    return false;
+  }
   
-  if (!session.fileInfo) {
-    return ctx.editMessageText('❌ Session expired. Please upload the file again.');
+  // Flip the status before any await so concurrent callers see it settled
+  const creditStatus = outcome === 'commit' ? 'committed' : 'released';
+  job.creditStatus = creditStatus;
+  
+  let released = 0;
+  try {
+    // Claimed in the database as well, so the settle pass of another instance can't take it too
+    const claim = await Job.updateOne({ jobId: job.jobId, creditStatus: 'reserved' }, { $set: { creditStatus } });
+    if (claim.modifiedCount === 0) {
+      return false;
+    }
+    
+    if (outcome === 'commit') {
+      await commitCredits(job.userId, job.creditAmount);
+    } else {
+      released = await releaseCredits(job.userId, job.creditBreakdown, job.creditReservedAt, { jobId: job.jobId });
+    }
+  } catch (error) {
+    // Still reserved, so settleFinishedJobCredits settles it later
+    job.creditStatus = 'reserved';
+    await Job.updateOne({ jobId: job.jobId, creditStatus }, { $set: { creditStatus: 'reserved' } });
+    throw error;
   }
   
+  await job.save();
+  return released;
+}
+
+// Finished jobs younger than this are left to the handlers that settle them
+const SETTLE_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Settle the credits of finished jobs that are still reserved because settling
+ * them failed or was interrupted: delivered jobs are charged, all others refunded
+ * @returns {Promise<Object>} { committed, released, failed }
+ */
+async function settleFinishedJobCredits() {
+  // The queue's failure and cancel handlers settle jobs right after they finish
+  const cutoff = new Date(Date.now() - SETTLE_GRACE_MS);
+  const jobs = await Job.find({
+    status: { $in: ['completed', 'failed', 'cancelled', 'dead'] },
+    creditStatus: 'reserved',
+    completedAt: { $lte: cutoff }
+  });
+  
+  const result = { committed: 0, released: 0, failed: 0 };
+  for (const job of jobs) {
+    const outcome = job.status === 'completed' ? 'commit' : 'release';
+    try {
+      await settleJobCredit(job, outcome);
+      result[outcome === 'commit' ? 'committed' : 'released']++;
+    } catch (error) {
+      result.failed++;
+      console.error(`❌ Settling the credits of job ${job.jobId} failed:`, error);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get inline keyboard with a cancel button for a job
+ * @param {string} jobId - Job ID
+ * @returns {Object} Inline keyboard markup
+ */
+function getCancelKeyboard(jobId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback('❌ Cancel', `cancel_job_${jobId}`)]
+  ]);
+}
+
+/**
+ * Throw if the job was cancelled
+ * @param {AbortSignal} signal - Job abort signal
+ */
+function checkCancelled(signal) {
+  if (signal?.aborted) {
+    const err = new Error('Conversion cancelled');
+    err.code = 'CANCELLED';
+    err.retryable = false;
+    throw err;
+  }
+}
+
+/**
+ * Throw if the queue has moved on from this attempt of the job
+ * @param {Function} isCurrentAttempt - Queue check for the running attempt
+ */
+function checkCurrentAttempt(isCurrentAttempt) {
+  if (!isCurrentAttempt()) {
+    const err = new Error('Conversion attempt is no longer current');
+    err.code = 'STALE_ATTEMPT';
+    err.retryable = false;
+    throw err;
+  }
+}
+
+/**
+ * Edit the progress message of a job
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Job document
+ * @param {string} text - New message text
+ * @param {Object} options - Update options
+ * @param {boolean} options.cancellable - Show a cancel button under the message
+ * @returns {boolean} Whether the message was edited
+ */
+async function updateJobMessage(telegram, job, text, { cancellable = false } = {}) {
+  if (!job.messageId) {
+    return false;
+  }
+  
+  try {
+    await telegram.editMessageText(job.chatId, job.messageId, undefined, text,
+      cancellable ? getCancelKeyboard(job.jobId) : undefined);
+    return true;
+  } catch (error) {
+    // Progress updates are best effort ("message is not modified", deleted messages)
+    console.error('Failed to update job message:', error.description || error.message);
+    return false;
+  }
+}
+
+/**
+ * Handle file conversion with improved error handling
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Job document
+ * @param {Object} context - Queue context
+ * @param {AbortSignal} context.signal - Aborted when the job is cancelled
+ * @param {Function} context.beginDelivery - Locks the attempt against cancels and timeouts; false if too late
+ * @param {Function} context.isCurrentAttempt - Whether the queue still runs this attempt
+ */
+async function handleConversion(telegram, job, { signal, beginDelivery = () => true, isCurrentAttempt = () => true } = {}) {
   let tempInputPath, tempOutputPath;
+  let delivered = false;
   const conversionStart = Date.now();
   
   try {
-    // Update UI to show conversion progress
-    await ctx.editMessageText('🔄 **Converting...**\n\n⚗️ Processing your file, please wait...');
+    // Jobs retried by an admin after their credits were released need a new reservation
+    if (job.creditStatus !== 'reserved') {
+      const creditBreakdown = await reserveCredits(job.userId, job.creditAmount, { jobId: job.jobId });
+      job.creditStatus = 'reserved';
+      job.creditBreakdown = creditBreakdown;
+      job.creditReservedAt = new Date();
+      await job.save();
+    }
+    
+    const user = await User.findOne({ userId: job.userId });
+    if (!user) {
+      const err = new Error(`User ${job.userId} not found`);
+      err.retryable = false;
+      throw err;
+    }
     
-    // Deduct credit first
-    await deductCredit(ctx.user);
+    // Update UI to show conversion progress
+    checkCancelled(signal);
+    await updateJobMessage(telegram, job, '🔄 **Converting...**\n\n⚗️ Processing your file, please wait...', { cancellable: true });
     
     // Download file with retry logic
-    await ctx.editMessageText('🔄 **Converting...**\n\n⬇️ Downloading file...');
-    tempInputPath = await downloadFile(ctx, session.fileInfo);
+    checkCancelled(signal);
+    await updateJobMessage(telegram, job, '🔄 **Converting...**\n\n⬇️ Downloading file...', { cancellable: true });
+    tempInputPath = await downloadFile(telegram, job.fileId, 3, signal);
     
     // Convert file
-    await ctx.editMessageText('🔄 **Converting...**\n\n🧪 Converting format...');
-    
-    const typeConfig = FILE_TYPES[session.fileType];
-    const converter = typeConfig.converter;
-    
-    // Check if converter exists and has convert method
-    if (!converter || typeof converter.convert !== 'function') {
-      throw new Error(`Converter not available for ${session.fileType}`);
+    checkCancelled(signal);
+    await updateJobMessage(telegram, job, '🔄 **Converting...**\n\n🧪 Converting format...', { cancellable: true });
+    
+    // The registry only holds converters with a convert method
+    if (!getPlugin(job.fileType)) {
+      const err = new Error(`Converter not available for ${job.fileType}`);
+      err.code = 'CONVERTER_NOT_FOUND';
+      throw err;
     }
     
-    tempOutputPath = await converter.convert(tempInputPath, targetFormat, {
-      quality: ctx.user.preferences?.defaultQuality || 'medium',
-      originalName: session.filename
+    // Runs in a separate process so a crashing converter cannot take the bot down
+    tempOutputPath = await runConverter(job.fileType, tempInputPath, job.targetFormat, {
+      ...resolveOptions(job.fileType, { quality: job.options?.quality }),
+      originalName: job.fileName,
+      inputFormat: await detectInputFormat(tempInputPath, job),
+      signal: signal
     });
     
+    // Converters that cannot be interrupted still finish; drop their result
+    checkCancelled(signal);
+    
     // Verify output file exists and has content
     const outputStats = await fs.stat(tempOutputPath);
     if (outputStats.size === 0) {
       throw new Error('Conversion produced empty file');
     }
     
-    // Upload result
-    await ctx.editMessageText('🔄 **Converting...**\n\n⬆️ Uploading result...');
+    // Once the upload starts the job can't be cancelled or time out, so a delivered
+    // file is always paid for; a stale attempt must neither deliver nor settle
+    if (!beginDelivery()) {
+      checkCancelled(signal);
+      checkCurrentAttempt(isCurrentAttempt);
+    }
+    
+    // Upload result (the cancel button goes away with this update)
+    await updateJobMessage(telegram, job, '🔄 **Converting...**\n\n⬆️ Uploading result...');
     
-    const outputFilename = `${path.parse(session.filename).name}.${targetFormat}`;
-    const caption = `✅ Converted by @${process.env.BOT_USERNAME}\n🔄 ${session.fileType.toUpperCase()} → ${targetFormat.toUpperCase()}`;
+    const outputFilename = `${path.parse(job.fileName).name}.${job.targetFormat}`;
+    const caption = `✅ Converted by @${process.env.BOT_USERNAME}\n🔄 ${job.fileType.toUpperCase()} → ${job.targetFormat.toUpperCase()}`;
     
     // Send converted file
-    await ctx.replyWithDocument({
+    await telegram.sendDocument(job.chatId, {
       source: tempOutputPath,
       filename: outputFilename
     }, {
-      caption: caption,
-      reply_to_message_id: ctx.message?.message_id
+      caption: caption
     });
+    delivered = true;
+    
+    // The file is delivered, so the reserved credit is spent; if committing fails
+    // it stays reserved for settleFinishedJobCredits
+    try {
+      await settleJobCredit(job, 'commit');
+    } catch (creditError) {
+      console.error(`Failed to commit credits of job ${job.jobId}:`, creditError);
+    }
     
     // Calculate processing time
     const processingTime = Math.round((Date.now() - conversionStart) / 1000);
     
-    // Add to history
-    if (!ctx.user.history) {
-      ctx.user.history = [];
-    }
-    
-    ctx.user.history.push({
-      originalName: session.filename,
-      fromType: session.fileType,
-      toType: targetFormat,
-      status: 'success',
-      fileSize: session.fileSize,
-      processingTime: processingTime,
-      timestamp: new Date()
+    // Add to history and count the conversion (credits used are counted by commitCredits)
+    await User.updateOne({ userId: job.userId }, {
+      $push: {
+        history: {
+          originalName: job.fileName,
+          fromType: job.fileType,
+          toType: job.targetFormat,
+          status: 'success',
+          fileSize: job.fileSize,
+          processingTime: processingTime,
+          timestamp: new Date()
+        }
+      },
+      $inc: { totalConversions: 1 }
     });
     
-    // Update total conversions counter
-    ctx.user.totalConversions = (ctx.user.totalConversions || 0) + 1;
-    ctx.user.totalCreditsUsed = (ctx.user.totalCreditsUsed || 0) + 1;
-    await ctx.user.save();
-    
-    // Delete progress message and show success
+    // The first successful conversion unlocks the referral bonus (no-op otherwise)
     try {
-      await ctx.deleteMessage();
-    } catch (deleteError) {
-      // Ignore delete errors
+      await rewardReferral(telegram, job.userId);
+    } catch (referralError) {
+      console.error('Referral bonus error:', referralError);
     }
     
-    await ctx.reply(`🎉 **Conversion completed!**\n\n⚡ Processed in ${processingTime}s\n💎 Credits remaining: ${ctx.user.freeCredits + ctx.user.paidCredits}`);
-    
-  } catch (error) {
-    console.error('Conversion error:', error);
-    
-    // Update history with failure
-    if (!ctx.user.history) {
-      ctx.user.history = [];
+    // Delete progress message and show success
+    if (job.messageId) {
+      try {
+        await telegram.deleteMessage(job.chatId, job.messageId);
+      } catch (deleteError) {
+        // Ignore delete errors
+      }
     }
     
-    ctx.user.history.push({
-      originalName: session.filename,
-      fromType: session.fileType,
-      toType: targetFormat,
-      status: 'failed',
-      fileSize: session.fileSize,
-      timestamp: new Date(),
-      error: error.message
-    });
+    await telegram.sendMessage(job.chatId, `🎉 **Conversion completed!**\n\n⚡ Processed in ${processingTime}s\n💎 Credits used: ${job.creditAmount}, remaining: ${user.freeCredits + user.paidCredits}`);
     
-    try {
-      await ctx.user.save();
-    } catch (saveError) {
-      console.error('Failed to save user history:', saveError);
+  } catch (error) {
+    // The file reached the user; a retry or refund now would send it twice or for free
+    if (delivered) {
+      console.error('Error after delivering conversion:', error);
+      return;
     }
     
-    const errorMessages = {
-      'UNSUPPORTED_FORMAT': '❌ This conversion is not supported yet.',
-      'FILE_TOO_LARGE': '❌ File is too large to process.',
-      'CORRUPTED_FILE': '❌ File appears to be corrupted.',
-      'PROCESSING_ERROR': '❌ Conversion failed. Please try again.',
-      'TIMEOUT_ERROR': '❌ Conversion timed out. File may be too large.',
-      'CONVERTER_NOT_FOUND': '❌ Conversion service temporarily unavailable.'
-    };
+    // Errors caused by killing the converter are really cancellations
+    checkCancelled(signal);
     
-    const errorMessage = errorMessages[error.code] || '❌ Conversion failed. Please try again or contact support.';
+    console.error('Conversion error:', error);
     
-    try {
-      await ctx.editMessageText(errorMessage);
-    } catch (editError) {
-      await ctx.reply(errorMessage);
+    // Let the queue skip retries for errors that cannot succeed on another attempt
+    if (PERMANENT_ERROR_CODES.includes(error.code)) {
+      error.retryable = false;
     }
+    
+    throw error;
   } finally {
     // Cleanup temporary files
     const cleanupPromises = [];
@@ -528,15 +864,95 @@ async function handleConversion(ctx, targetFormat) {
     }
     
     await Promise.all(cleanupPromises);
-    
-    // Clear session
-    if (ctx.session) {
-      delete ctx.session.fileInfo;
-      delete ctx.session.filename;
-      delete ctx.session.fileType;
-      delete ctx.session.fileSize;
+  }
+}
+
+/**
+ * Record a conversion that failed for good and tell the user
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Job document
+ * @param {Error} error - Last conversion error
+ */
+async function handleConversionFailure(telegram, job, error) {
+  let refunded = 0;
+  try {
+    refunded = await settleJobCredit(job, 'release');
+  } catch (creditError) {
+    console.error('Failed to release credit:', creditError);
+  }
+  
+  // Update history with failure
+  try {
+    await User.updateOne({ userId: job.userId }, {
+      $push: {
+        history: {
+          originalName: job.fileName,
+          fromType: job.fileType,
+          toType: job.targetFormat,
+          status: 'failed',
+          fileSize: job.fileSize,
+          timestamp: new Date(),
+          error: error.message
+        }
+      }
+    });
+  } catch (saveError) {
+    console.error('Failed to save user history:', saveError);
+  }
+  
+  const errorMessages = {
+    'UNSUPPORTED_FORMAT': '❌ This conversion is not supported yet.',
+    'FILE_TOO_LARGE': '❌ File is too large to process.',
+    'CORRUPTED_FILE': '❌ File appears to be corrupted.',
+    'PROCESSING_ERROR': '❌ Conversion failed. Please try again.',
+    'TIMEOUT_ERROR': '❌ Conversion timed out. File may be too large.',
+    'CONVERTER_NOT_FOUND': '❌ Conversion service temporarily unavailable.',
+    'MEMORY_LIMIT_EXCEEDED': '❌ File needs too much memory to convert.',
+    'CPU_LIMIT_EXCEEDED': '❌ Conversion took too much processing time. File may be too large.',
+    'WORKER_CRASHED': '❌ Converter crashed while processing your file.',
+    'INVALID_OPTION': '❌ Your conversion settings are not supported for this file type. Check /settings.',
+    'INSUFFICIENT_CREDITS': '❌ Not enough credits for this conversion.'
+  };
+  
+  let errorMessage = errorMessages[error.code] || '❌ Conversion failed. Please try again or contact support.';
+  if (error.code === 'INSUFFICIENT_CREDITS') {
+    // Free credits refill at the user's local midnight (or the 1st, depending on the plan)
+    const user = await User.findOne({ userId: job.userId }).lean().catch(() => null);
+    if (user) {
+      errorMessage += ` Your free credits refill in ${getTimeUntilReset(user)}.`;
     }
   }
+  if (refunded) {
+    errorMessage += `\n\n💎 ${refunded} credit(s) refunded.`;
+  }
+  
+  const edited = await updateJobMessage(telegram, job, errorMessage);
+  if (!edited) {
+    await telegram.sendMessage(job.chatId, errorMessage);
+  }
+}
+
+/**
+ * Refund and report a cancelled job (temporary files are removed by handleConversion)
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Job document
+ * @param {string} reason - Why the job was cancelled, when not by the user
+ */
+async function handleConversionCancelled(telegram, job, reason) {
+  const refunded = await settleJobCredit(job, 'release');
+  
+  let message = `❌ Conversion cancelled: ${job.fileName} → ${job.targetFormat.toUpperCase()}`;
+  if (reason) {
+    message += `\n\n${reason}`;
+  }
+  if (refunded) {
+    message += `\n\n💎 ${refunded} credit(s) refunded.`;
+  }
+  
+  const edited = await updateJobMessage(telegram, job, message);
+  if (!edited) {
+    await telegram.sendMessage(job.chatId, message);
+  }
 }
 
 /**
@@ -544,12 +960,12 @@ async function handleConversion(ctx, targetFormat) {
  * @param {Object} bot - Telegraf bot instance
  */
 function setupConversionHandlers(bot) {
-  // Handle conversion format selection
-  bot.action(/convert_(\w+)/, async (ctx) => {
+  // Handle conversion format selection (keyboards from before tokens have none and count as expired)
+  bot.action(/^convert_(\w+?)(?::([\w-]+))?$/, async (ctx) => {
     try {
       await ctx.answerCbQuery();
-      const targetFormat = ctx.match[1];
-      await handleConversion(ctx, targetFormat);
+      const [, targetFormat, token] = ctx.match;
+      await queueConversion(ctx, targetFormat, token);
     } catch (error) {
       console.error('Conversion handler error:', error);
       await ctx.answerCbQuery('❌ Error processing conversion');
@@ -561,19 +977,30 @@ function setupConversionHandlers(bot) {
     }
   });
   
+  // Handle cancellation of a queued or running job
+  bot.action(/cancel_job_(.+)/, async (ctx) => {
+    try {
+      const job = findJob(ctx.match[1]);
+      
+      if (!job || job.userId !== ctx.from.id) {
+        return ctx.answerCbQuery('ℹ️ This conversion can no longer be cancelled.');
+      }
+      
+      const cancelled = await cancelJob(job.jobId);
+      await ctx.answerCbQuery(cancelled ? '🛑 Cancelling...' : 'ℹ️ Too late, the result is already on its way');
+    } catch (error) {
+      console.error('Cancel job error:', error);
+      await ctx.answerCbQuery('❌ Could not cancel conversion');
+    }
+  });
+  
   // Handle conversion cancellation
-  bot.action('cancel_convert', async (ctx) => {
+  bot.action(/^cancel_convert(?::([\w-]+))?$/, async (ctx) => {
     try {
       await ctx.answerCbQuery();
       await ctx.editMessageText('❌ Conversion cancelled.');
       
-      // Clear session
-      if (ctx.session) {
-        delete ctx.session.fileInfo;
-        delete ctx.session.filename;
-        delete ctx.session.fileType;
-        delete ctx.session.fileSize;
-      }
+      dropPendingFile(ctx, ctx.match[1]);
     } catch (error) {
       console.error('Cancel conversion error:', error);
       await ctx.answerCbQuery('Cancelled');
@@ -583,8 +1010,11 @@ function setupConversionHandlers(bot) {
 
 module.exports = {
   processFile,
+  handleConversion,
+  handleConversionFailure,
+  handleConversionCancelled,
+  settleFinishedJobCredits,
   setupConversionHandlers,
   detectFileType,
-  getConversionOptions,
-  FILE_TYPES
+  getConversionOptions
 };
\ No newline at end of file
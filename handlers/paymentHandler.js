@@ -0,0 +1,524 @@
+const { Markup } = require('telegraf');
+const Payment = require('../models/Payment');
+const { addPaidCredits, removePaidCredits } = require('../utils/credits');
+const { getCreditPack, CREDIT_PACKS } = require('../utils/pricing');
+const { PLANS, getPlan, getUserPlan, describePlan } = require('../utils/plans');
+const { activatePlan, shortenPlan } = require('../utils/subscriptions');
+
+// Telegram Stars; digital goods are paid without a payment provider
+const CURRENCY = 'XTR';
+
+// A payment still being applied after this long was interrupted (e.g. by a restart)
+const FULFILMENT_STUCK_MS = 10 * 60 * 1000;
+
+/**
+ * Build the invoice payload that comes back with the pre-checkout query and the payment
+ * @param {string} kind - Product kind ('credits' or 'plan')
+ * @param {string} itemId - Credit pack or plan ID
+ * @param {number} quantity - Credits in the pack or days of the plan
+ * @param {number} userId - Buyer's user ID
+ * @returns {string} Invoice payload
+ */
+function buildInvoicePayload(kind, itemId, quantity, userId) {
+  return `${kind}:${itemId}:${quantity}:${userId}`;
+}
+
+/**
+ * Parse an invoice payload built by buildInvoicePayload
+ * @param {string} payload - Invoice payload
+ * @returns {Object|null} { kind, itemId, quantity, userId } or null when it isn't ours
+ */
+function parseInvoicePayload(payload) {
+  const match = /^(credits|plan):(\w+):(\d+):(\d+)$/.exec(payload || '');
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    kind: match[1],
+    itemId: match[2],
+    quantity: parseInt(match[3]),
+    userId: parseInt(match[4])
+  };
+}
+
+/**
+ * Look up what an invoice sells at today's prices
+ * @param {Object} invoice - Parsed invoice payload
+ * @returns {Object|null} { stars, quantity } or null when the product no longer exists
+ */
+function getInvoiceProduct(invoice) {
+  if (invoice.kind === 'credits') {
+    const pack = getCreditPack(invoice.itemId);
+    return pack ? { stars: pack.stars, quantity: pack.credits } : null;
+  }
+  
+  const plan = getPlan(invoice.itemId);
+  return plan && plan.stars ? { stars: plan.stars, quantity: plan.days } : null;
+}
+
+/**
+ * Show the credit packs that can be bought
+ * @param {Object} ctx - Telegraf context
+ */
+async function showCreditPacks(ctx) {
+  const text = `
+💰 **Buy More Credits**
+
+Paid credits never expire and are used before your free daily credits.
+Pay securely with ⭐ Telegram Stars:
+
+${CREDIT_PACKS.map(pack => `💎 ${pack.credits} credits — ⭐ ${pack.stars}`).join('\n')}
+  `;
+  
+  const keyboard = Markup.inlineKeyboard([
+    ...CREDIT_PACKS.map(pack => [
+      Markup.button.callback(`💎 ${pack.credits} credits · ⭐ ${pack.stars}`, `buy_pack_${pack.id}`)
+    ]),
+    [Markup.button.callback('📅 Plans', 'view_plans'), Markup.button.callback('🔙 Back', 'view_credits')]
+  ]);
+  
+  if (ctx.callbackQuery) {
+    try {
+      await ctx.editMessageText(text, { parse_mode: 'Markdown', ...keyboard });
+    } catch (error) {
+      await ctx.reply(text, { parse_mode: 'Markdown', ...keyboard });
+    }
+  } else {
+    await ctx.replyWithMarkdown(text, keyboard);
+  }
+}
+
+/**
+ * Send a Stars invoice for a credit pack
+ * @param {Object} ctx - Telegraf context
+ * @param {string} packId - Credit pack ID
+ */
+async function sendPackInvoice(ctx, packId) {
+  const pack = getCreditPack(packId);
+  if (!pack) {
+    return ctx.reply('❌ This credit pack is no longer available.');
+  }
+  
+  await ctx.replyWithInvoice({
+    title: `${pack.credits} conversion credits`,
+    description: `${pack.credits} paid credits for File Converter Bot. Paid credits never expire.`,
+    payload: buildInvoicePayload('credits', pack.id, pack.credits, ctx.from.id),
+    provider_token: '',
+    currency: CURRENCY,
+    prices: [{ label: `${pack.credits} credits`, amount: pack.stars }]
+  });
+}
+
+/**
+ * Show the user's plan and the plans that can be bought
+ * @param {Object} ctx - Telegraf context
+ */
+async function showPlans(ctx) {
+  const current = getUserPlan(ctx.user);
+  const paidPlans = Object.values(PLANS).filter(plan => plan.stars);
+  
+  let text = `📅 **Plans**\n\n`;
+  text += `Your plan: **${current.name}**`;
+  if (current.id !== 'free') {
+    text += ` (until ${ctx.user.planExpiresAt.toDateString()})`;
+  }
+  text += `\n\n`;
+  
+  for (const plan of Object.values(PLANS)) {
+    text += `${plan.id === current.id ? '✅' : '▫️'} **${plan.name}**${plan.stars ? ` — ⭐ ${plan.stars} / ${plan.days} days` : ''}\n`;
+    text += `${describePlan(plan)}\n\n`;
+  }
+  text += `Buying your current plan again adds the days to the remaining time.`;
+  
+  const keyboard = Markup.inlineKeyboard([
+    ...paidPlans.map(plan => [
+      Markup.button.callback(`${plan.id === current.id ? '🔄 Renew' : '⬆️ Get'} ${plan.name} · ⭐ ${plan.stars}`, `buy_plan_${plan.id}`)
+    ]),
+    [Markup.button.callback('🔙 Back', 'view_credits')]
+  ]);
+  
+  if (ctx.callbackQuery) {
+    try {
+      await ctx.editMessageText(text, { parse_mode: 'Markdown', ...keyboard });
+    } catch (error) {
+      await ctx.reply(text, { parse_mode: 'Markdown', ...keyboard });
+    }
+  } else {
+    await ctx.replyWithMarkdown(text, keyboard);
+  }
+}
+
+/**
+ * Send a Stars invoice for a plan
+ * @param {Object} ctx - Telegraf context
+ * @param {string} planId - Plan ID
+ */
+async function sendPlanInvoice(ctx, planId) {
+  const plan = getPlan(planId);
+  if (!plan || !plan.stars) {
+    return ctx.reply('❌ This plan is not available.');
+  }
+  
+  await ctx.replyWithInvoice({
+    title: `${plan.name} plan · ${plan.days} days`,
+    description: `${describePlan(plan)}. Renewing adds the days to your current plan.`,
+    payload: buildInvoicePayload('plan', plan.id, plan.days, ctx.from.id),
+    provider_token: '',
+    currency: CURRENCY,
+    prices: [{ label: `${plan.name} · ${plan.days} days`, amount: plan.stars }]
+  });
+}
+
+/**
+ * Check a pre-checkout query against the current products before Telegram charges the user
+ * @param {Object} ctx - Telegraf context
+ * @returns {string|null} Error message shown to the user, or null when the payment may go ahead
+ */
+function validatePreCheckout(ctx) {
+  const query = ctx.preCheckoutQuery;
+  const invoice = parseInvoicePayload(query.invoice_payload);
+  const product = invoice && getInvoiceProduct(invoice);
+  
+  if (!product || product.quantity !== invoice.quantity) {
+    return 'This offer is no longer available. Please open the shop again.';
+  }
+  if (invoice.userId !== query.from.id) {
+    return 'This invoice belongs to another user.';
+  }
+  if (query.currency !== CURRENCY || query.total_amount !== product.stars) {
+    return 'The price of this offer has changed. Please open the shop again.';
+  }
+  if (!ctx.user) {
+    return 'Please start the bot with /start first.';
+  }
+  if (ctx.user.isBanned) {
+    return 'Your account is suspended.';
+  }
+  
+  return null;
+}
+
+/**
+ * Answer a pre-checkout query
+ * @param {Object} ctx - Telegraf context
+ */
+async function handlePreCheckout(ctx) {
+  const errorMessage = validatePreCheckout(ctx);
+  
+  if (errorMessage) {
+    console.log(`🚫 Pre-checkout rejected for user ${ctx.from.id}: ${errorMessage}`);
+    return ctx.answerPreCheckoutQuery(false, errorMessage);
+  }
+  
+  return ctx.answerPreCheckoutQuery(true);
+}
+
+/**
+ * Apply a payment's credits or plan days exactly once.
+ * The payment is claimed first, so a redelivered update or the retry job can't apply it again.
+ * @param {Object} payment - Payment document
+ * @returns {Promise<string|null>} Receipt text, null when the payment was already applied or is being applied
+ */
+async function fulfilPayment(payment) {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'paid', fulfillment: { $in: ['pending', 'failed'] } },
+    { $set: { fulfillment: 'processing' } },
+    { new: true }
+  );
+  
+  if (!claimed) {
+    return null;
+  }
+  
+  let receipt;
+  try {
+    if (claimed.kind === 'plan') {
+      const user = await activatePlan(claimed.userId, claimed.packId, claimed.planDays);
+      const plan = getPlan(claimed.packId);
+      receipt = `📅 Plan: ${plan.name}, ${claimed.planDays} days\n` +
+        `⭐ Paid: ${claimed.amount} Stars\n` +
+        `🔖 Transaction: ${claimed.telegramPaymentChargeId}\n\n` +
+        `✨ ${plan.name} is active until ${user.planExpiresAt.toDateString()}`;
+    } else {
+      const user = await addPaidCredits(claimed.userId, claimed.credits, {
+        type: 'purchase',
+        description: `${claimed.credits} credits for ⭐ ${claimed.amount} (${claimed.telegramPaymentChargeId})`
+      });
+      receipt = `💎 Credits: ${claimed.credits}\n` +
+        `⭐ Paid: ${claimed.amount} Stars\n` +
+        `🔖 Transaction: ${claimed.telegramPaymentChargeId}\n\n` +
+        `💰 Paid credits balance: ${user.paidCredits}`;
+    }
+  } catch (error) {
+    // Nothing was applied, so the retry job may try again
+    await Payment.updateOne({ _id: claimed._id }, { $set: { fulfillment: 'failed' } });
+    throw error;
+  }
+  
+  await Payment.updateOne({ _id: claimed._id }, { $set: { fulfillment: 'done', fulfilledAt: new Date() } });
+  
+  console.log(`💰 User ${claimed.userId} bought ${claimed.kind} ${claimed.packId} for ${claimed.amount} ${claimed.currency}`);
+  return receipt;
+}
+
+/**
+ * Build the message that confirms a purchase
+ * @param {string} receipt - Receipt text from fulfilPayment
+ * @returns {string} Message
+ */
+function formatReceiptMessage(receipt) {
+  return `✅ Payment received, thank you!\n\n` +
+    `🧾 Receipt\n${receipt}\n` +
+    `Use /purchases to see all your receipts.`;
+}
+
+/**
+ * Record a successful payment, apply it and send the receipt.
+ * Telegram can deliver the same payment more than once; the charge ID makes it count once.
+ * @param {Object} ctx - Telegraf context
+ */
+async function handleSuccessfulPayment(ctx) {
+  const paymentInfo = ctx.message.successful_payment;
+  const invoice = parseInvoicePayload(paymentInfo.invoice_payload);
+  
+  if (!invoice) {
+    console.error('❌ Payment with unknown invoice payload:', paymentInfo);
+    return;
+  }
+  
+  let payment;
+  try {
+    payment = await Payment.create({
+      userId: ctx.from.id,
+      kind: invoice.kind,
+      packId: invoice.itemId,
+      credits: invoice.kind === 'credits' ? invoice.quantity : 0,
+      planDays: invoice.kind === 'plan' ? invoice.quantity : 0,
+      amount: paymentInfo.total_amount,
+      currency: paymentInfo.currency,
+      invoicePayload: paymentInfo.invoice_payload,
+      telegramPaymentChargeId: paymentInfo.telegram_payment_charge_id,
+      providerPaymentChargeId: paymentInfo.provider_payment_charge_id || null,
+      fulfillment: 'pending'
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    // Redelivered: apply it now if the first delivery didn't get that far
+    payment = await Payment.findOne({ telegramPaymentChargeId: paymentInfo.telegram_payment_charge_id });
+  }
+  
+  try {
+    const receipt = await fulfilPayment(payment);
+    if (!receipt) {
+      console.log(`ℹ️ Payment ${paymentInfo.telegram_payment_charge_id} was already credited`);
+      return;
+    }
+    
+    await ctx.reply(formatReceiptMessage(receipt));
+  } catch (error) {
+    console.error(`❌ Failed to fulfil payment ${payment.telegramPaymentChargeId}:`, error);
+    await ctx.reply(
+      `⚠️ Your payment was received but your purchase could not be applied yet.\n` +
+      `It will be retried automatically in a few minutes. If it doesn't arrive, ` +
+      `contact support with transaction ID ${payment.telegramPaymentChargeId}.`
+    );
+  }
+}
+
+/**
+ * Apply payments whose fulfilment failed or never started (for cron job)
+ * @param {Object} telegram - Telegraf telegram instance
+ * @returns {Promise<Object>} { fulfilled, failed, stuck }
+ */
+async function retryUnfulfilledPayments(telegram) {
+  // Give the successful_payment handler a minute to apply new payments itself
+  const cutoff = new Date(Date.now() - 60 * 1000);
+  const payments = await Payment.find({ status: 'paid', fulfillment: { $in: ['pending', 'failed'] }, createdAt: { $lte: cutoff } });
+  let fulfilled = 0;
+  let failed = 0;
+  
+  // Interrupted mid-way, so it's unknown whether the credits arrived; an admin has to check
+  const stuck = await Payment.find({ fulfillment: 'processing', updatedAt: { $lte: new Date(Date.now() - FULFILMENT_STUCK_MS) } });
+  for (const payment of stuck) {
+    console.error(`⚠️ Payment ${payment.telegramPaymentChargeId} of user ${payment.userId} was interrupted while being applied, check /audit ${payment.userId}`);
+  }
+  
+  for (const payment of payments) {
+    try {
+      const receipt = await fulfilPayment(payment);
+      if (!receipt) continue;
+      
+      fulfilled++;
+      try {
+        await telegram.sendMessage(payment.userId, formatReceiptMessage(receipt));
+      } catch (error) {
+        console.error(`Failed to send receipt to user ${payment.userId}:`, error.message);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Retry of payment ${payment.telegramPaymentChargeId} failed:`, error);
+    }
+  }
+  
+  return { fulfilled, failed, stuck: stuck.length };
+}
+
+/**
+ * Refund a Stars payment and take back its credits or plan days.
+ * The payment is marked refund_pending before Telegram is asked, so a failure after the
+ * refund can be finished by running the refund again.
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {string} chargeId - Telegram payment charge ID
+ * @param {Object} details - Refund details
+ * @param {number} details.adminId - Admin issuing the refund
+ * @param {string} details.reason - Reason shown to the user
+ * @returns {Promise<Object>} Refunded payment
+ * @throws {Error} PAYMENT_NOT_FOUND, ALREADY_REFUNDED, PAYMENT_BUSY
+ */
+async function refundPayment(telegram, chargeId, { adminId = null, reason = null } = {}) {
+  const stuckBefore = new Date(Date.now() - FULFILMENT_STUCK_MS);
+  const payment = await Payment.findOneAndUpdate(
+    {
+      telegramPaymentChargeId: chargeId,
+      status: { $in: ['paid', 'refund_pending'] },
+      $or: [{ fulfillment: { $ne: 'processing' } }, { updatedAt: { $lte: stuckBefore } }]
+    },
+    { $set: { status: 'refund_pending', refundedBy: adminId, refundReason: reason } },
+    { new: true }
+  );
+  
+  if (!payment) {
+    const existing = await Payment.findOne({ telegramPaymentChargeId: chargeId });
+    const [code, message] = !existing
+      ? ['PAYMENT_NOT_FOUND', `Payment ${chargeId} not found`]
+      : existing.status === 'refunded'
+        ? ['ALREADY_REFUNDED', `Payment ${chargeId} was already refunded`]
+        : ['PAYMENT_BUSY', `Payment ${chargeId} is being applied right now, try again in a minute`];
+    const err = new Error(message);
+    err.code = code;
+    throw err;
+  }
+  
+  if (!payment.refundedAt) {
+    try {
+      // Telegraf has no wrapper for this method yet
+      await telegram.callApi('refundStarPayment', {
+        user_id: payment.userId,
+        telegram_payment_charge_id: chargeId
+      });
+    } catch (error) {
+      // Refunded by an earlier attempt that failed before it was recorded
+      if (!/CHARGE_ALREADY_REFUNDED/.test(error.description || error.message)) {
+        throw error;
+      }
+    }
+    
+    payment.refundedAt = new Date();
+    await payment.save();
+  }
+  
+  // Payments that were never applied have nothing to take back; an interrupted one may have been
+  const applied = !['pending', 'failed'].includes(payment.fulfillment);
+  if (applied && !payment.clawedBackAt) {
+    if (payment.kind === 'plan') {
+      await shortenPlan(payment.userId, payment.packId, payment.planDays);
+    } else {
+      payment.creditsRemoved = await removePaidCredits(payment.userId, payment.credits, {
+        adminId,
+        description: `Refund of ⭐ ${payment.amount} (${chargeId})${reason ? `: ${reason}` : ''}`
+      });
+    }
+    
+    // Recorded right away, so resuming after a later failure doesn't take them back again
+    payment.clawedBackAt = new Date();
+    await payment.save();
+  }
+  payment.status = 'refunded';
+  await payment.save();
+  
+  try {
+    await telegram.sendMessage(payment.userId,
+      `↩️ Your payment of ⭐ ${payment.amount} Stars was refunded.` +
+      (!applied ? '' : payment.kind === 'plan'
+        ? `\n📅 ${payment.planDays} day(s) were removed from your ${getPlan(payment.packId).name} plan.`
+        : `\n💎 ${payment.creditsRemoved} paid credit(s) were removed from your balance.`) +
+      (reason ? `\n📝 Reason: ${reason}` : '')
+    );
+  } catch (error) {
+    console.error(`Failed to notify user ${payment.userId} about refund:`, error.message);
+  }
+  
+  console.log(`↩️ Refunded payment ${chargeId} of user ${payment.userId}`);
+  return payment;
+}
+
+/**
+ * Register shop, invoice and payment handlers
+ * @param {Object} bot - Telegraf bot instance
+ */
+function setupPaymentHandlers(bot) {
+  bot.action('buy_credits', async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      return showCreditPacks(ctx);
+    } catch (error) {
+      console.error('Buy credits action error:', error);
+      await ctx.answerCbQuery('❌ Error loading credit packs');
+    }
+  });
+  
+  bot.action(/buy_pack_(\w+)/, async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      await sendPackInvoice(ctx, ctx.match[1]);
+    } catch (error) {
+      console.error('Invoice error:', error);
+      await ctx.reply('❌ Could not create the invoice. Please try again.');
+    }
+  });
+  
+  bot.action('view_plans', async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      return showPlans(ctx);
+    } catch (error) {
+      console.error('Plans action error:', error);
+      await ctx.answerCbQuery('❌ Error loading plans');
+    }
+  });
+  
+  bot.action(/buy_plan_(\w+)/, async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      await sendPlanInvoice(ctx, ctx.match[1]);
+    } catch (error) {
+      console.error('Invoice error:', error);
+      await ctx.reply('❌ Could not create the invoice. Please try again.');
+    }
+  });
+  
+  bot.on('pre_checkout_query', async (ctx) => {
+    try {
+      await handlePreCheckout(ctx);
+    } catch (error) {
+      console.error('Pre-checkout error:', error);
+      await ctx.answerPreCheckoutQuery(false, 'Something went wrong. Please try again.');
+    }
+  });
+  
+  bot.on('successful_payment', (ctx) => handleSuccessfulPayment(ctx));
+}
+
+module.exports = {
+  setupPaymentHandlers,
+  showCreditPacks,
+  showPlans,
+  handlePreCheckout,
+  handleSuccessfulPayment,
+  retryUnfulfilledPayments,
+  refundPayment,
+  parseInvoicePayload
+};
@@ -5,23 +5,37 @@ const cron = require('node-cron');
 
 // Import modules
 const User = require('./models/User');
-const { resetDailyCredits } = require('./utils/credits');
-const { addToQueue } = require('./utils/queue');
+const { resetDailyCredits, processBulkCreditReset, getTimeUntilReset } = require('./utils/credits');
+const { processPlanExpirations } = require('./utils/subscriptions');
+const { retryUnfulfilledPayments } = require('./handlers/paymentHandler');
+const { initQueue } = require('./utils/queue');
+const { banMiddleware, rateLimitMiddleware } = require('./utils/moderation');
+const { createSessionStore } = require('./utils/sessionStore');
 const fileHandler = require('./handlers/fileHandler');
+const paymentHandler = require('./handlers/paymentHandler');
 const adminCommands = require('./commands/admin');
 const userCommands = require('./commands/user');
 
-// Initialize bot
-const bot = new Telegraf(process.env.BOT_TOKEN);
+// Initialize bot (TELEGRAM_API_ROOT points it at a local Bot API server, e.g. a fake one for payment tests)
+const bot = new Telegraf(process.env.BOT_TOKEN,
+  process.env.TELEGRAM_API_ROOT ? { telegram: { apiRoot: process.env.TELEGRAM_API_ROOT } } : {}
+);
 
-// Use session middleware
-bot.use(session());
+// Use session middleware (stored in MongoDB so open keyboards survive restarts)
+bot.use(session({ store: createSessionStore() }));
 
 // Connect to MongoDB with modern options
 mongoose.connect(process.env.MONGO_URI)
   .then(() => {
     console.log('🟢 Connected to MongoDB');
     console.log(`📊 Database: ${mongoose.connection.name}`);
+    
+    // Start the conversion worker and resume jobs interrupted by a restart
+    initQueue(bot.telegram, {
+      handler: fileHandler.handleConversion,
+      onFailure: fileHandler.handleConversionFailure,
+      onCancel: fileHandler.handleConversionCancelled
+    }).catch(err => console.error('🔴 Failed to restore job queue:', err));
   })
   .catch(err => {
     console.error('🔴 MongoDB connection error:', err);
@@ -47,12 +61,13 @@ bot.use(async (ctx, next) => {
     try {
       let user = await User.findOne({ userId: ctx.from.id });
       if (!user) {
-        const source = ctx.startPayload || 'direct';
+        // Where the user came from is recorded by /start (see utils/referrals.js)
         user = new User({
           userId: ctx.from.id,
           username: ctx.from.username,
           firstName: ctx.from.first_name,
-          source: source,
+          source: 'direct',
+          preferences: { language: (ctx.from.language_code || 'en').slice(0, 2) },
           freeCredits: parseInt(process.env.DAILY_FREE_CREDITS) || 15,
           paidCredits: 0,
           lastReset: new Date()
@@ -88,6 +103,10 @@ bot.use(async (ctx, next) => {
   return next();
 });
 
+// Block banned users, then rate limit uploads and button presses
+bot.use(banMiddleware);
+bot.use(rateLimitMiddleware);
+
 // Register command handlers
 userCommands.register(bot);
 adminCommands.register(bot);
@@ -95,6 +114,9 @@ adminCommands.register(bot);
 // Setup file conversion handlers
 fileHandler.setupConversionHandlers(bot);
 
+// Setup credit shop and Telegram Stars payments
+paymentHandler.setupPaymentHandlers(bot);
+
 // Handle file uploads with better error handling
 bot.on(['document', 'photo', 'audio', 'voice'], async (ctx) => {
   try {
@@ -106,7 +128,7 @@ bot.on(['document', 'photo', 'audio', 'voice'], async (ctx) => {
     await resetDailyCredits(ctx.user);
     
     if (ctx.user.freeCredits + ctx.user.paidCredits <= 0) {
-      return ctx.reply('❌ No credits remaining! Credits reset daily at 00:00 UTC.', 
+      return ctx.reply(`❌ No credits remaining! Your free credits refill in ${getTimeUntilReset(ctx.user)}.`, 
         Markup.inlineKeyboard([
           [Markup.button.callback('🛒 Buy Credits', 'buy_credits')],
           [Markup.button.callback('📊 View Credits', 'view_credits')]
@@ -114,8 +136,8 @@ bot.on(['document', 'photo', 'audio', 'voice'], async (ctx) => {
       );
     }
 
-    // Add to queue
-    await addToQueue(ctx, fileHandler.processFile);
+    // Show conversion options (the conversion itself is queued once a format is chosen)
+    await fileHandler.processFile(ctx);
     
   } catch (error) {
     console.error('❌ File handling error:', error);
@@ -170,25 +192,6 @@ bot.action('view_credits', async (ctx) => {
   }
 });
 
-bot.action('buy_credits', (ctx) => {
-  ctx.answerCbQuery();
-  ctx.replyWithMarkdown(`
-💰 **Buy More Credits**
-
-🔜 Credit purchase system coming soon!
-
-For now, contact admin for premium credits.
-
-💳 **Planned Payment Methods:**
-• Credit Card via Stripe
-• Cryptocurrency payments
-• Telegram Stars
-• PayPal
-
-📞 **Contact:** @${process.env.BOT_USERNAME.replace('bot', '')}
-  `);
-});
-
 // Global error handler
 bot.catch((err, ctx) => {
   console.error(`🚨 Bot error for user ${ctx?.from?.id}:`, err);
@@ -208,25 +211,61 @@ bot.catch((err, ctx) => {
   }
 });
 
-// Daily credit reset job (runs at midnight UTC)
-cron.schedule('0 0 * * *', async () => {
-  console.log('🔄 Running daily credit reset...');
+// Plan expiry and renewal reminders (runs hourly)
+cron.schedule('0 * * * *', async () => {
   try {
-    const dailyCredits = parseInt(process.env.DAILY_FREE_CREDITS) || 15;
-    const result = await User.updateMany(
-      {},
-      { 
-        freeCredits: dailyCredits,
-        lastReset: new Date()
-      }
-    );
-    console.log(`✅ Daily credits reset completed for ${result.modifiedCount} users`);
-    
-    // Log stats
-    const stats = await User.getStats();
-    console.log(`📊 Users: ${stats.totalUsers} total, ${stats.activeToday} active today`);
+    const plans = await processPlanExpirations(bot.telegram);
+    console.log(`📅 Plans: ${plans.reminded} renewal reminder(s) sent, ${plans.expired} plan(s) expired`);
+  } catch (error) {
+    console.error('❌ Plan expiration check failed:', error);
+  }
+});
+
+// Payments whose credits or plan could not be applied (runs every 5 minutes)
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const result = await retryUnfulfilledPayments(bot.telegram);
+    if (result.fulfilled > 0 || result.failed > 0) {
+      console.log(`💰 Payment retry: ${result.fulfilled} applied, ${result.failed} still failing`);
+    }
+  } catch (error) {
+    console.error('❌ Payment retry failed:', error);
+  }
+});
+
+// Finished jobs whose credits could not be committed or refunded (runs every 5 minutes)
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const result = await fileHandler.settleFinishedJobCredits();
+    if (result.committed > 0 || result.released > 0 || result.failed > 0) {
+      console.log(`💎 Job credits: ${result.committed} committed, ${result.released} refunded, ${result.failed} still failing`);
+    }
+  } catch (error) {
+    console.error('❌ Settling job credits failed:', error);
+  }
+});
+
+// Credit reset job: users are reset at their local midnight, so check every 15 minutes
+// (covers timezones with :30 and :45 offsets)
+let creditResetRunning = false;
+cron.schedule('*/15 * * * *', async () => {
+  if (creditResetRunning) {
+    return;
+  }
+  creditResetRunning = true;
+  
+  try {
+    const result = await processBulkCreditReset();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.usersUpdated > 0) {
+      console.log(`✅ Credits reset for ${result.usersUpdated} users in ${result.duration}`);
+    }
   } catch (error) {
     console.error('❌ Credit reset failed:', error);
+  } finally {
+    creditResetRunning = false;
   }
 });
 
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const conversionStatSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  targetFormat: {
+    type: String,
+    required: true
+  },
+  sizeBucket: {
+    type: String,
+    enum: ['small', 'medium', 'large'],
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  averageDuration: {
+    type: Number, // in milliseconds, moving average of recent jobs
+    default: 0
+  },
+  lastDuration: {
+    type: Number, // in milliseconds
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One document per (category, target format, size bucket)
+conversionStatSchema.index({ category: 1, targetFormat: 1, sizeBucket: 1 }, { unique: true });
+
+module.exports = mongoose.model('ConversionStat', conversionStatSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const creditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['deduction', 'refund', 'admin_grant', 'daily_reset', 'referral_bonus', 'purchase', 'purchase_refund', 'promo_code', 'gift_sent', 'gift_received'],
+    required: true
+  },
+  creditType: {
+    type: String, // balance that changed
+    enum: ['free', 'paid'],
+    required: true
+  },
+  amount: {
+    type: Number, // signed change, negative for deductions
+    required: true
+  },
+  balanceAfter: {
+    type: Number, // free + paid credits right after the change, when known
+    default: null
+  },
+  jobId: {
+    type: String,
+    default: null
+  },
+  adminId: {
+    type: Number,
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for per-user ledgers and job lookups
+creditTransactionSchema.index({ userId: 1, createdAt: -1 });
+creditTransactionSchema.index({ jobId: 1 });
+
+// The ledger is append-only: entries are never changed after they are written
+creditTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Credit transactions are append-only'));
+  }
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  creditTransactionSchema.pre(operation, function(next) {
+    next(new Error('Credit transactions are append-only'));
+  });
+}
+
+// Static method to get a user's latest entries
+creditTransactionSchema.statics.findForUser = function(userId, limit = 15) {
+  return this.find({ userId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+// Static method to sum a user's changes per transaction type
+creditTransactionSchema.statics.getTotalsForUser = function(userId) {
+  return this.aggregate([
+    { $match: { userId } },
+    { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+const attemptErrorSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  code: {
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: Number,
+    required: true
+  },
+  chatId: {
+    type: Number,
+    required: true
+  },
+  messageId: {
+    type: Number, // progress message that gets edited while the job runs
+    default: null
+  },
+  queueMessageId: {
+    type: Number, // queue position message, edited as the ETA changes
+    default: null
+  },
+  fileId: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  inputFormat: {
+    type: String, // detected from content at upload (the name can be wrong or missing)
+    default: null
+  },
+  targetFormat: {
+    type: String,
+    required: true
+  },
+  options: {
+    quality: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    }
+  },
+  lane: {
+    type: String,
+    enum: ['priority', 'standard'],
+    default: 'standard'
+  },
+  queueRank: {
+    type: Number, // set when an admin moves the job; ranked jobs are dispatched first, in rank order
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'dead'], // dead = retries exhausted
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  creditStatus: {
+    type: String, // reserved when queued, committed after delivery, released on failure or cancel
+    enum: ['none', 'reserved', 'committed', 'released'],
+    default: 'none'
+  },
+  creditAmount: {
+    type: Number, // price of the conversion in credits
+    default: 1
+  },
+  creditBreakdown: {
+    paid: {
+      type: Number, // credits taken from each balance, used for releases
+      default: 0
+    },
+    free: {
+      type: Number,
+      default: 0
+    }
+  },
+  creditReservedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attemptErrors: [attemptErrorSchema],
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for picking work back up and per-user lookups
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ userId: 1, status: 1 });
+
+// Static method to find jobs that still need to run, oldest first
+jobSchema.statics.findUnfinished = function() {
+  return this.find({
+    status: { $in: ['pending', 'processing'] }
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to list the dead-letter jobs, newest first
+jobSchema.statics.findDead = function(limit = 10) {
+  return this.find({ status: 'dead' }).sort({ completedAt: -1 }).limit(limit);
+};
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['credits', 'plan'],
+    default: 'credits'
+  },
+  packId: {
+    type: String, // credit pack or plan ID
+    required: true
+  },
+  credits: {
+    type: Number, // 0 for plans
+    required: true
+  },
+  planDays: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number, // total paid, in Stars for XTR
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'XTR'
+  },
+  invoicePayload: {
+    type: String,
+    required: true
+  },
+  telegramPaymentChargeId: {
+    type: String,
+    required: true,
+    unique: true // Telegram may deliver the same payment twice
+  },
+  providerPaymentChargeId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['paid', 'refund_pending', 'refunded'],
+    default: 'paid'
+  },
+  fulfillment: {
+    type: String, // credits or plan days applied; null for payments made before this was tracked
+    enum: ['pending', 'processing', 'failed', 'done', null],
+    default: null
+  },
+  fulfilledAt: {
+    type: Date,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  refundedBy: {
+    type: Number, // admin ID
+    default: null
+  },
+  refundReason: {
+    type: String,
+    default: null
+  },
+  creditsRemoved: {
+    type: Number, // paid credits taken back on refund (may be less if already spent)
+    default: 0
+  },
+  clawedBackAt: {
+    type: Date, // credits or plan days taken back; set so a resumed refund never takes them twice
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for per-user receipts
+paymentSchema.index({ userId: 1, createdAt: -1 });
+
+// Index for retrying payments that were not applied
+paymentSchema.index({ fulfillment: 1, createdAt: 1 });
+
+// Static method to sum sales, refunds excluded
+paymentSchema.statics.getTotals = async function() {
+  const [totals] = await this.aggregate([
+    { $match: { status: 'paid' } },
+    { $group: { _id: null, payments: { $sum: 1 }, credits: { $sum: '$credits' }, amount: { $sum: '$amount' } } }
+  ]);
+  
+  return totals || { payments: 0, credits: 0, amount: 0 };
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
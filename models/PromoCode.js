@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const redemptionSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  credits: {
+    type: Number, // paid credits per redemption
+    required: true,
+    min: 1
+  },
+  maxRedemptions: {
+    type: Number, // across all users, null = unlimited
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  expiresAt: {
+    type: Date, // null = never expires
+    default: null
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [redemptionSchema],
+  createdBy: {
+    type: Number, // admin ID
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether the code can still be redeemed by anyone
+promoCodeSchema.methods.isRedeemable = function(now = new Date()) {
+  return !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > now) &&
+    (this.maxRedemptions === null || this.redemptionCount < this.maxRedemptions);
+};
+
+// Method to count a user's redemptions of this code
+promoCodeSchema.methods.countRedemptionsBy = function(userId) {
+  return this.redemptions.filter(redemption => redemption.userId === userId).length;
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  key: {
+    type: String, // Telegraf session key, "<userId>:<chatId>"
+    required: true,
+    unique: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// MongoDB drops sessions once they expire (the TTL monitor runs about once a minute)
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
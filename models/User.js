@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getUserPlan } = require('../utils/plans');
 
 const historySchema = new mongoose.Schema({
   originalName: {
@@ -61,9 +62,25 @@ const userSchema = new mongoose.Schema({
     enum: ['direct', 'referral', 'channel', 'group', 'ads']
   },
   referralSource: {
-    type: String,
+    type: String, // raw start payload, e.g. "ref_12345" or "ads_summer"
+    default: null
+  },
+  referredBy: {
+    type: Number, // referrer's user ID
     default: null
   },
+  referralRewarded: {
+    type: Boolean, // referral bonus paid after the first conversion
+    default: false
+  },
+  referrerBonusPending: {
+    type: Boolean, // referrer's half of the bonus still to be paid (retried after the next conversion)
+    default: false
+  },
+  referralEarnings: {
+    type: Number, // paid credits earned by inviting others
+    default: 0
+  },
   freeCredits: {
     type: Number,
     default: 15,
@@ -82,12 +99,45 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  lastResetKey: {
+    type: String, // allowance period of the last reset in the user's timezone, e.g. "2024-05-31"
+    default: null
+  },
+  nextResetAt: {
+    type: Date, // local midnight (or 1st of the month) the next reset is due
+    default: null
+  },
+  plan: {
+    type: String,
+    enum: ['free', 'pro', 'business'],
+    default: 'free'
+  },
+  planExpiresAt: {
+    type: Date,
+    default: null
+  },
+  planReminderSentAt: {
+    type: Date, // renewal reminder for the current plan period
+    default: null
+  },
+  giftDay: {
+    type: String, // local day of giftedToday, e.g. "2024-05-31"
+    default: null
+  },
+  giftedToday: {
+    type: Number, // paid credits gifted on giftDay, counted against GIFT_DAILY_CAP
+    default: 0
+  },
   history: [historySchema],
   preferences: {
     language: {
       type: String,
       default: 'en'
     },
+    timezone: {
+      type: String, // IANA timezone, derived from language when not set
+      default: null
+    },
     notifications: {
       type: Boolean,
       default: true
@@ -102,6 +152,10 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  isPriority: {
+    type: Boolean, // admin-granted priority queue lane
+    default: false
+  },
   isBanned: {
     type: Boolean,
     default: false
@@ -110,6 +164,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  bannedUntil: {
+    type: Date, // null = permanent (temporary bans lift themselves, see utils/moderation.js)
+    default: null
+  },
   lastActivity: {
     type: Date,
     default: Date.now
@@ -126,6 +184,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ lastActivity: -1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ source: 1 });
+userSchema.index({ referredBy: 1 });
+userSchema.index({ plan: 1, planExpiresAt: 1 });
+userSchema.index({ nextResetAt: 1 });
 userSchema.index({ isBanned: 1 });
 userSchema.index({ isActive: 1 });
 
@@ -166,6 +227,11 @@ userSchema.methods.hasCredits = function() {
   return (this.freeCredits + this.paidCredits) > 0;
 };
 
+// Method to check if user's jobs go to the priority queue lane
+userSchema.methods.hasPriorityLane = function() {
+  return this.isPriority || this.paidCredits > 0 || getUserPlan(this).priority;
+};
+
 // Method to get credit summary
 userSchema.methods.getCreditSummary = function() {
   return {
@@ -0,0 +1,398 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Telegram } = require('telegraf');
+const { installMemoryDb, findStored } = require('./helpers/memoryDb');
+const { startFakeBotApi } = require('./helpers/fakeBotApi');
+
+// One worker and a short time limit, so timeouts and queued jobs are quick to reach
+process.env.SUBTITLE_WORKERS = '1';
+process.env.SUBTITLE_TIMEOUT_SECONDS = '1';
+process.env.BOT_USERNAME = 'converter_test_bot';
+
+installMemoryDb();
+
+// Converter runs are scripted: each job attempt takes the next behaviour from the plan
+const converterPlan = [];
+const converterRuns = [];
+const workerProcess = require('../utils/workerProcess');
+workerProcess.runConverter = (category, inputPath, outputFormat, { signal }) => {
+  const run = { startedAt: Date.now(), settledAt: null };
+  converterRuns.push(run);
+  const behaviour = converterPlan.shift() || 'succeed';
+  
+  return new Promise((resolve, reject) => {
+    const settle = (error, outputPath) => {
+      run.settledAt = Date.now();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(outputPath);
+      }
+    };
+    
+    if (behaviour === 'fail') {
+      const err = new Error('Converter failed');
+      err.code = 'PROCESSING_ERROR';
+      return settle(err);
+    }
+    
+    if (behaviour === 'hang') {
+      // Like a killed worker process, it settles a little after the abort
+      signal.addEventListener('abort', () => setTimeout(() => settle(signal.reason), 200), { once: true });
+      return;
+    }
+    
+    const outputPath = path.join(os.tmpdir(), `test_output_${Date.now()}.${outputFormat}`);
+    fs.writeFile(outputPath, 'WEBVTT\n').then(() => settle(null, outputPath), settle);
+  });
+};
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { reserveCredits } = require('../utils/credits');
+const { initQueue, addToQueue, cancelJob, findJob, getQueueLimit, hasReachedQueueLimit } = require('../utils/queue');
+const { handleConversion, handleConversionFailure, handleConversionCancelled, settleFinishedJobCredits } = require('../handlers/fileHandler');
+
+const SUBTITLE = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+
+// Every job costs 3 credits: 2 paid and 1 free for a user starting at 5 free, 2 paid
+const PRICE = 3;
+const START_BALANCE = { free: 5, paid: 2 };
+
+let api;
+let telegram;
+let nextUserId = 100;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} check - Condition, may be async
+ * @param {number} timeoutMs - Time to wait before failing
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Create a user with the starting balance
+ * @returns {Promise<number>} User ID
+ */
+async function createUser() {
+  const userId = nextUserId++;
+  await User.create({ userId, freeCredits: START_BALANCE.free, paidCredits: START_BALANCE.paid });
+  return userId;
+}
+
+/**
+ * Reserve the price and queue a subtitle conversion, like queueConversion does
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Job ID
+ */
+async function queueJob(userId) {
+  const jobId = `job-${userId}-${Date.now()}`;
+  const creditBreakdown = await reserveCredits(userId, PRICE, { jobId });
+  
+  return addToQueue({
+    jobId,
+    userId,
+    chatId: userId,
+    messageId: 1,
+    fileId: 'subtitle-file',
+    fileName: 'subs.srt',
+    fileType: 'subtitle',
+    fileSize: SUBTITLE.length,
+    inputFormat: 'srt',
+    targetFormat: 'vtt',
+    creditStatus: 'reserved',
+    creditAmount: PRICE,
+    creditBreakdown,
+    creditReservedAt: new Date()
+  });
+}
+
+/**
+ * Wait until a job has finished and its worker is free
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Stored job
+ */
+async function waitForJob(jobId) {
+  const finished = ['completed', 'failed', 'dead', 'cancelled'];
+  await waitFor(() => !findJob(jobId) && finished.includes(findStored('Job', { jobId })[0]?.status));
+  return findStored('Job', { jobId })[0];
+}
+
+/**
+ * Get a user's stored balance and used credits
+ * @param {number} userId - User ID
+ * @returns {Object} { free, paid, used }
+ */
+function getBalance(userId) {
+  const [user] = findStored('User', { userId });
+  return { free: user.freeCredits, paid: user.paidCredits, used: user.totalCreditsUsed };
+}
+
+/**
+ * Add up the ledger entries of a job
+ * @param {string} jobId - Job ID
+ * @param {string} type - Transaction type
+ * @returns {number} Credits in entries of that type
+ */
+function sumLedger(jobId, type) {
+  return findStored('CreditTransaction', { jobId, type }).reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+/**
+ * Get the documents sent to a chat
+ * @param {number} chatId - Chat ID
+ * @returns {Array<Object>} sendDocument calls
+ */
+function sentDocuments(chatId) {
+  return api.callsTo('sendDocument').filter(call => Number(call.params.chat_id) === chatId);
+}
+
+describe('credit reservation for conversions', () => {
+  let interruptedUser;
+  let exhaustedUser;
+  
+  before(async () => {
+    api = await startFakeBotApi();
+    api.addFile('subtitle-file', SUBTITLE);
+    telegram = new Telegram(api.token, { apiRoot: api.apiRoot });
+    
+    // Jobs a restart interrupted, with their credits still reserved
+    interruptedUser = await createUser();
+    exhaustedUser = await createUser();
+    for (const [userId, attempts] of [[interruptedUser, 1], [exhaustedUser, 3]]) {
+      const jobId = `restored-${userId}`;
+      await Job.create({
+        jobId,
+        userId,
+        chatId: userId,
+        fileId: 'subtitle-file',
+        fileName: 'subs.srt',
+        fileType: 'subtitle',
+        inputFormat: 'srt',
+        targetFormat: 'vtt',
+        status: 'processing',
+        attempts,
+        maxAttempts: 3,
+        creditStatus: 'reserved',
+        creditAmount: PRICE,
+        creditBreakdown: await reserveCredits(userId, PRICE, { jobId }),
+        creditReservedAt: new Date()
+      });
+    }
+    
+    await initQueue(telegram, {
+      handler: handleConversion,
+      onFailure: handleConversionFailure,
+      onCancel: handleConversionCancelled
+    });
+  });
+  
+  after(async () => {
+    await api.close();
+  });
+  
+  it('settles jobs restored after a restart', async () => {
+    const resumed = await waitForJob(`restored-${interruptedUser}`);
+    assert.equal(resumed.status, 'completed');
+    assert.equal(resumed.creditStatus, 'committed');
+    assert.deepEqual(getBalance(interruptedUser), { free: 4, paid: 0, used: PRICE });
+    assert.equal(sentDocuments(interruptedUser).length, 1);
+    
+    const exhausted = await waitForJob(`restored-${exhaustedUser}`);
+    assert.equal(exhausted.status, 'dead');
+    assert.equal(exhausted.creditStatus, 'released');
+    assert.deepEqual(getBalance(exhaustedUser), { ...START_BALANCE, used: 0 });
+    assert.equal(sentDocuments(exhaustedUser).length, 0);
+  });
+  
+  it('commits the reserved credits once the file is delivered', async () => {
+    const userId = await createUser();
+    const jobId = await queueJob(userId);
+    
+    const job = await waitForJob(jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.creditStatus, 'committed');
+    assert.deepEqual(job.creditBreakdown, { paid: 2, free: 1 });
+    assert.deepEqual(getBalance(userId), { free: 4, paid: 0, used: PRICE });
+    assert.equal(sumLedger(jobId, 'deduction'), -PRICE);
+    assert.equal(sumLedger(jobId, 'refund'), 0);
+    assert.equal(sentDocuments(userId).length, 1);
+  });
+  
+  it('releases the credits when every attempt fails, without reserving again on retries', async () => {
+    const userId = await createUser();
+    converterPlan.push('fail', 'fail', 'fail');
+    const jobId = await queueJob(userId);
+    
+    const job = await waitForJob(jobId);
+    assert.equal(job.status, 'dead');
+    assert.equal(job.attempts, 3);
+    assert.equal(job.creditStatus, 'released');
+    assert.deepEqual(getBalance(userId), { ...START_BALANCE, used: 0 });
+    assert.equal(sumLedger(jobId, 'deduction'), -PRICE);
+    assert.equal(sumLedger(jobId, 'refund'), PRICE);
+    assert.equal(sentDocuments(userId).length, 0);
+    assert.ok(api.callsTo('editMessageText').some(call =>
+      Number(call.params.chat_id) === userId && call.params.text.includes(`${PRICE} credit(s) refunded`)));
+  });
+  
+  it('releases the credits of a job cancelled while converting', async () => {
+    const userId = await createUser();
+    converterPlan.push('hang');
+    const jobId = await queueJob(userId);
+    
+    const runs = converterRuns.length;
+    await waitFor(() => converterRuns.length > runs);
+    assert.equal(await cancelJob(jobId), true);
+    
+    const job = await waitForJob(jobId);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.creditStatus, 'released');
+    assert.deepEqual(getBalance(userId), { ...START_BALANCE, used: 0 });
+    assert.equal(sumLedger(jobId, 'refund'), PRICE);
+    assert.equal(sentDocuments(userId).length, 0);
+  });
+  
+  it('releases the credits of a job cancelled while waiting for a worker', async () => {
+    const busyUser = await createUser();
+    const waitingUser = await createUser();
+    converterPlan.push('hang');
+    const runs = converterRuns.length;
+    const busyJobId = await queueJob(busyUser);
+    await waitFor(() => converterRuns.length > runs);
+    const waitingJobId = await queueJob(waitingUser);
+    
+    assert.equal(await cancelJob(waitingJobId), true);
+    const waiting = await waitForJob(waitingJobId);
+    assert.equal(waiting.status, 'cancelled');
+    assert.equal(waiting.attempts, 0);
+    assert.deepEqual(getBalance(waitingUser), { ...START_BALANCE, used: 0 });
+    
+    await cancelJob(busyJobId);
+    await waitForJob(busyJobId);
+    assert.deepEqual(getBalance(busyUser), { ...START_BALANCE, used: 0 });
+  });
+  
+  it('keeps one reservation through a timeout and its retry', async () => {
+    const userId = await createUser();
+    converterPlan.push('hang', 'succeed');
+    const runs = converterRuns.length;
+    const jobId = await queueJob(userId);
+    
+    const job = await waitForJob(jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 2);
+    assert.equal(job.attemptErrors[0].code, 'TIMEOUT_ERROR');
+    assert.equal(job.creditStatus, 'committed');
+    assert.deepEqual(getBalance(userId), { free: 4, paid: 0, used: PRICE });
+    assert.equal(sumLedger(jobId, 'deduction'), -PRICE);
+    assert.equal(sumLedger(jobId, 'refund'), 0);
+    assert.equal(sentDocuments(userId).length, 1);
+    
+    // The retry only started once the timed-out attempt had stopped
+    const [timedOut, retry] = converterRuns.slice(runs);
+    assert.ok(retry.startedAt >= timedOut.settledAt);
+  });
+  
+  it('keeps the credits reserved when committing them fails, and commits them later', async () => {
+    const userId = await createUser();
+    api.on('sendDocument', ({ chat_id: chatId }) => {
+      // Committing the credits right after the upload fails
+      const updateOne = User.updateOne;
+      User.updateOne = () => {
+        User.updateOne = updateOne;
+        throw new Error('connection lost');
+      };
+      return { message_id: 999, date: 0, chat: { id: Number(chatId) } };
+    });
+    
+    try {
+      const jobId = await queueJob(userId);
+      let job = await waitForJob(jobId);
+      
+      assert.equal(job.status, 'completed');
+      assert.equal(job.creditStatus, 'reserved');
+      assert.deepEqual(getBalance(userId), { free: 4, paid: 0, used: 0 });
+      assert.equal(findStored('User', { userId })[0].totalConversions, 1);
+      
+      // Left alone while the queue's handlers may still settle it
+      assert.deepEqual(await settleFinishedJobCredits(), { committed: 0, released: 0, failed: 0 });
+      
+      await Job.updateOne({ jobId }, { $set: { completedAt: new Date(Date.now() - 10 * 60 * 1000) } });
+      assert.deepEqual(await settleFinishedJobCredits(), { committed: 1, released: 0, failed: 0 });
+      assert.deepEqual(await settleFinishedJobCredits(), { committed: 0, released: 0, failed: 0 });
+      
+      job = findStored('Job', { jobId })[0];
+      assert.equal(job.creditStatus, 'committed');
+      assert.deepEqual(getBalance(userId), { free: 4, paid: 0, used: PRICE });
+      assert.equal(sumLedger(jobId, 'refund'), 0);
+    } finally {
+      api.reset();
+    }
+  });
+  
+  it('keeps a user within the queue limit when jobs are added at the same time', async () => {
+    const userId = await createUser();
+    const limit = getQueueLimit();
+    
+    // Free jobs, so only the queue limit can refuse them
+    const results = await Promise.allSettled(Array.from({ length: limit + 2 }, (_, index) => addToQueue({
+      jobId: `concurrent-${userId}-${index}`,
+      userId,
+      chatId: userId,
+      messageId: 1,
+      fileId: 'subtitle-file',
+      fileName: 'subs.srt',
+      fileType: 'subtitle',
+      fileSize: SUBTITLE.length,
+      inputFormat: 'srt',
+      targetFormat: 'vtt'
+    })));
+    
+    const accepted = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+    assert.equal(accepted.length, limit);
+    assert.ok(refused.every(result => result.reason.code === 'QUEUE_LIMIT_REACHED'));
+    assert.equal(findStored('Job', { userId }).length, limit);
+    
+    for (const { value: jobId } of accepted) {
+      assert.equal((await waitForJob(jobId)).status, 'completed');
+    }
+    
+    // Finished and refused jobs give their slots back
+    assert.equal(hasReachedQueueLimit(userId), false);
+  });
+  
+  it('refuses to cancel once the result is being uploaded, and charges for it', async () => {
+    const userId = await createUser();
+    let cancelledDuringUpload = null;
+    api.on('sendDocument', async ({ chat_id: chatId }) => {
+      cancelledDuringUpload = await cancelJob(findStored('Job', { userId })[0].jobId);
+      return { message_id: 999, date: 0, chat: { id: Number(chatId) } };
+    });
+    
+    try {
+      const jobId = await queueJob(userId);
+      const job = await waitForJob(jobId);
+      
+      assert.equal(cancelledDuringUpload, false);
+      assert.equal(job.status, 'completed');
+      assert.equal(job.creditStatus, 'committed');
+      assert.deepEqual(getBalance(userId), { free: 4, paid: 0, used: PRICE });
+      assert.equal(sumLedger(jobId, 'refund'), 0);
+    } finally {
+      api.reset();
+    }
+  });
+});
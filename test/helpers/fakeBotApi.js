@@ -0,0 +1,196 @@
+/**
+ * Local fake of the Telegram Bot API, used by the tests.
+ * Point Telegraf at it with { apiRoot }; every method call is recorded, gets a
+ * plausible default answer and can be overridden per method (also to fail or hang).
+ * Files registered with addFile are served for getFile and downloads.
+ */
+const http = require('http');
+
+const BOT_TOKEN = '123456:TEST-TOKEN';
+
+/**
+ * Create an error the fake answers with, e.g. for a rejected refund
+ * @param {number} errorCode - Bot API error code
+ * @param {string} description - Bot API error description
+ * @returns {Error} Error
+ */
+function apiError(errorCode, description) {
+  const err = new Error(description);
+  err.errorCode = errorCode;
+  err.description = description;
+  return err;
+}
+
+/**
+ * Parse a multipart/form-data body (Telegraf uses it for uploads)
+ * @param {Buffer} body - Request body
+ * @param {string} boundary - Multipart boundary
+ * @returns {Object} Fields; uploaded files as { filename, content }
+ */
+function parseMultipart(body, boundary) {
+  const params = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = body.indexOf(delimiter);
+  
+  while (start >= 0) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next < 0) break;
+    
+    const part = body.subarray(start + delimiter.length + 2, next - 2); // strip CRLFs
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    const content = part.subarray(headerEnd + 4);
+    const name = /name="([^"]+)"/.exec(headers)?.[1];
+    const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+    
+    if (name) {
+      params[name] = filename !== undefined ? { filename, content } : content.toString();
+    }
+    start = next;
+  }
+  
+  return params;
+}
+
+/**
+ * Read and decode the parameters of a Bot API request
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Object>} Method parameters
+ */
+async function readParams(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks);
+  const type = req.headers['content-type'] || '';
+  
+  if (type.startsWith('multipart/form-data')) {
+    return parseMultipart(body, /boundary=(.+)$/.exec(type)[1]);
+  }
+  if (type.startsWith('application/json') && body.length > 0) {
+    return JSON.parse(body.toString());
+  }
+  return Object.fromEntries(new URLSearchParams(body.toString()));
+}
+
+/**
+ * Start the fake Bot API on a free local port
+ * @returns {Promise<Object>} Fake server: { apiRoot, token, calls, on, addFile, callsTo, reset, close }
+ */
+async function startFakeBotApi() {
+  const calls = [];
+  const overrides = new Map();
+  const files = new Map();
+  let nextMessageId = 1;
+  
+  // Answers for methods the tests don't override
+  const defaults = {
+    getMe: () => ({ id: 1, is_bot: true, first_name: 'Converter', username: 'converter_test_bot' }),
+    getFile: ({ file_id: fileId }) => {
+      if (!files.has(fileId)) {
+        throw apiError(400, 'Bad Request: invalid file_id');
+      }
+      return { file_id: fileId, file_unique_id: fileId, file_size: files.get(fileId).length, file_path: `documents/${fileId}` };
+    },
+    sendMessage: ({ chat_id: chatId, text }) => ({ message_id: nextMessageId++, date: 0, chat: { id: Number(chatId) }, text }),
+    sendDocument: ({ chat_id: chatId }) => ({ message_id: nextMessageId++, date: 0, chat: { id: Number(chatId) } }),
+    sendInvoice: ({ chat_id: chatId }) => ({ message_id: nextMessageId++, date: 0, chat: { id: Number(chatId) } }),
+    editMessageText: ({ chat_id: chatId, message_id: messageId, text }) => ({ message_id: Number(messageId), date: 0, chat: { id: Number(chatId) }, text })
+  };
+  
+  const server = http.createServer(async (req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    
+    // File downloads: /file/bot<token>/<file_path>
+    const download = /^\/file\/bot[^/]+\/documents\/(.+)$/.exec(req.url);
+    if (download) {
+      const content = files.get(decodeURIComponent(download[1]));
+      if (!content) {
+        return send(404, { ok: false, error_code: 404, description: 'Not Found' });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      return res.end(content);
+    }
+    
+    const match = /^\/bot([^/]+)\/(\w+)$/.exec(req.url);
+    if (!match || match[1] !== BOT_TOKEN) {
+      return send(404, { ok: false, error_code: 404, description: 'Not Found' });
+    }
+    
+    const method = match[2];
+    const params = await readParams(req);
+    const call = { method, params };
+    calls.push(call);
+    
+    try {
+      const handler = overrides.get(method) || defaults[method] || (() => true);
+      call.result = await handler(params);
+      send(200, { ok: true, result: call.result });
+    } catch (error) {
+      call.error = error;
+      send(error.errorCode || 500, { ok: false, error_code: error.errorCode || 500, description: error.description || error.message });
+    }
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    apiRoot: `http://127.0.0.1:${server.address().port}`,
+    token: BOT_TOKEN,
+    calls,
+    
+    /**
+     * Override the answer of a method (may be async, or throw apiError)
+     * @param {string} method - Bot API method
+     * @param {Function} handler - (params) => result
+     */
+    on(method, handler) {
+      overrides.set(method, handler);
+    },
+    
+    /**
+     * Make a file available for getFile and download
+     * @param {string} fileId - Telegram file_id
+     * @param {Buffer} content - File content
+     */
+    addFile(fileId, content) {
+      files.set(fileId, content);
+    },
+    
+    /**
+     * Get the recorded calls of one method
+     * @param {string} method - Bot API method
+     * @returns {Array<Object>} Calls: { method, params, result, error }
+     */
+    callsTo(method) {
+      return calls.filter(call => call.method === method);
+    },
+    
+    /**
+     * Forget recorded calls and overrides
+     */
+    reset() {
+      calls.length = 0;
+      overrides.clear();
+    },
+    
+    /**
+     * Stop the server
+     * @returns {Promise} Resolves once closed
+     */
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  BOT_TOKEN,
+  apiError,
+  startFakeBotApi
+};
@@ -0,0 +1,366 @@
+/**
+ * In-memory stand-in for MongoDB, used by the tests.
+ * The real Mongoose models (schemas, defaults, documents) stay in place; only their
+ * database calls are answered from arrays, with mingo evaluating filters, update
+ * operators and update pipelines the way MongoDB does.
+ */
+require('mingo/init/system');
+const { Query, Aggregator } = require('mingo');
+const { updateObject } = require('mingo/updater');
+const mongoose = require('mongoose');
+
+// Models the bot uses; required here so they exist before they are patched
+const MODEL_NAMES = ['User', 'Job', 'Payment', 'CreditTransaction', 'ConversionStat', 'PromoCode', 'Session'];
+
+// Stored documents per model name (plain objects, ObjectIds as strings)
+const collections = new Map();
+
+/**
+ * Turn ObjectIds into strings so stored documents and filters compare by value
+ * @param {*} value - Document, filter or update value
+ * @returns {*} Plain copy
+ */
+function toPlain(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (value._bsontype === 'ObjectId' || value instanceof mongoose.Types.ObjectId) {
+    return value.toHexString();
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (typeof value === 'object') {
+    const plain = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) {
+        plain[key] = toPlain(item);
+      }
+    }
+    return plain;
+  }
+  return value;
+}
+
+/**
+ * Create an error that looks like a MongoDB server error
+ * @param {number} code - MongoDB error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createMongoError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Thenable query result, supporting the chained calls the bot uses
+ */
+class MemoryQuery {
+  /**
+   * @param {Function} execute - Runs the query: (options) => result
+   */
+  constructor(execute) {
+    this.execute = execute;
+    this.options = { lean: false, sort: null, limit: null };
+  }
+  
+  /**
+   * Return plain objects instead of documents
+   * @returns {MemoryQuery} This query
+   */
+  lean() {
+    this.options.lean = true;
+    return this;
+  }
+  
+  /**
+   * Sort the results
+   * @param {Object} spec - Sort specification
+   * @returns {MemoryQuery} This query
+   */
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+  
+  /**
+   * Limit the number of results
+   * @param {number} limit - Maximum results
+   * @returns {MemoryQuery} This query
+   */
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+  
+  /**
+   * Projections are ignored; whole documents are returned
+   * @returns {MemoryQuery} This query
+   */
+  select() {
+    return this;
+  }
+  
+  /**
+   * Run the query
+   * @returns {Promise} Query result
+   */
+  exec() {
+    return Promise.resolve().then(() => this.execute(this.options));
+  }
+  
+  /**
+   * Run the query when it is awaited
+   * @param {Function} resolve - Fulfilment callback
+   * @param {Function} reject - Rejection callback
+   * @returns {Promise} Query result
+   */
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+  
+  /**
+   * Run the query and handle its error
+   * @param {Function} reject - Rejection callback
+   * @returns {Promise} Query result
+   */
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+/**
+ * Apply an update (operators or pipeline) to a stored document
+ * @param {Object} stored - Stored document
+ * @param {Object|Array} update - Update operators or update pipeline
+ * @returns {Object} Updated copy
+ */
+function applyUpdate(stored, update) {
+  if (Array.isArray(update)) {
+    return new Aggregator(toPlain(update)).run([structuredClone(stored)])[0];
+  }
+  
+  const updated = structuredClone(stored);
+  for (const [operator, fields] of Object.entries(toPlain(update))) {
+    // mingo applies one operator per call
+    updateObject(updated, { [operator]: fields });
+  }
+  return updated;
+}
+
+/**
+ * Answer a model's database calls from memory
+ * @param {Object} Model - Mongoose model
+ */
+function patchModel(Model) {
+  const store = [];
+  collections.set(Model.modelName, store);
+  
+  const timestamps = Boolean(Model.schema.options.timestamps);
+  const uniquePaths = Object.entries(Model.schema.paths)
+    .filter(([, schemaType]) => schemaType.options.unique)
+    .map(([pathName]) => pathName);
+  
+  const matching = (filter) => {
+    const query = new Query(toPlain(filter || {}));
+    return store.filter(stored => query.test(stored));
+  };
+  
+  const checkUnique = (candidate) => {
+    for (const pathName of uniquePaths) {
+      const duplicate = store.find(stored => stored._id !== candidate._id &&
+        stored[pathName] !== undefined && stored[pathName] === candidate[pathName]);
+      if (duplicate) {
+        throw createMongoError(11000, `E11000 duplicate key error collection: ${Model.collection.name} index: ${pathName}_1`);
+      }
+    }
+  };
+  
+  const write = (index, updated) => {
+    if (timestamps) {
+      updated.updatedAt = new Date();
+    }
+    checkUnique(updated);
+    store[index] = updated;
+  };
+  
+  const insert = (created) => {
+    if (timestamps) {
+      created.createdAt = created.createdAt || new Date();
+      created.updatedAt = created.createdAt;
+    }
+    checkUnique(created);
+    store.push(created);
+    return created;
+  };
+  
+  const output = (stored, lean) => {
+    if (!stored) {
+      return null;
+    }
+    return lean ? structuredClone(stored) : Model.hydrate(structuredClone(stored));
+  };
+  
+  const upsert = (filter, update) => {
+    // Equality conditions of the filter become fields of the new document
+    const seed = Object.fromEntries(Object.entries(toPlain(filter))
+      .filter(([key, value]) => !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date)));
+    const created = toPlain(new Model(seed).toObject());
+    if (Array.isArray(update)) {
+      return insert(applyUpdate(created, update));
+    }
+    
+    const { $setOnInsert, ...operators } = update;
+    const updated = applyUpdate(created, $setOnInsert ? { ...operators, $set: { ...operators.$set, ...$setOnInsert } } : operators);
+    return insert(updated);
+  };
+  
+  Model.findOne = (filter) => new MemoryQuery(({ lean, sort }) => {
+    let found = matching(filter);
+    if (sort) {
+      found = new Query({}).find(found).sort(sort).all();
+    }
+    return output(found[0], lean);
+  });
+  
+  Model.find = (filter) => new MemoryQuery(({ lean, sort, limit }) => {
+    let cursor = new Query(toPlain(filter || {})).find(store);
+    if (sort) {
+      cursor = cursor.sort(sort);
+    }
+    if (limit) {
+      cursor = cursor.limit(limit);
+    }
+    return cursor.all().map(stored => output(stored, lean));
+  });
+  
+  Model.countDocuments = (filter) => new MemoryQuery(() => matching(filter).length);
+  
+  Model.findOneAndUpdate = (filter, update, options = {}) => new MemoryQuery(({ lean }) => {
+    const [stored] = matching(filter);
+    if (!stored) {
+      return options.upsert ? output(upsert(filter, update), lean) : null;
+    }
+    
+    const index = store.indexOf(stored);
+    write(index, applyUpdate(stored, update));
+    return output(options.new ? store[index] : stored, lean);
+  });
+  
+  Model.updateOne = (filter, update, options = {}) => new MemoryQuery(() => {
+    const [stored] = matching(filter);
+    if (!stored) {
+      if (options.upsert) {
+        upsert(filter, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+    
+    write(store.indexOf(stored), applyUpdate(stored, update));
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+  
+  Model.updateMany = (filter, update) => new MemoryQuery(() => {
+    const found = matching(filter);
+    for (const stored of found) {
+      write(store.indexOf(stored), applyUpdate(stored, update));
+    }
+    return { acknowledged: true, matchedCount: found.length, modifiedCount: found.length };
+  });
+  
+  Model.deleteMany = (filter) => new MemoryQuery(() => {
+    const found = matching(filter);
+    for (const stored of found) {
+      store.splice(store.indexOf(stored), 1);
+    }
+    return { acknowledged: true, deletedCount: found.length };
+  });
+  
+  Model.create = async (data) => {
+    if (Array.isArray(data)) {
+      return Promise.all(data.map(item => Model.create(item)));
+    }
+    
+    const doc = new Model(data);
+    await doc.save();
+    return doc;
+  };
+  
+  Model.insertMany = (data) => Model.create(data);
+  
+  // Like Mongoose, saving an existing document only writes the paths that changed
+  Model.prototype.save = async function() {
+    const data = toPlain(this.toObject({ depopulate: true }));
+    const index = store.findIndex(stored => stored._id === data._id);
+    
+    if (this.isNew || index < 0) {
+      insert(data);
+      if (timestamps) {
+        this.createdAt = data.createdAt;
+      }
+    } else {
+      const $set = {};
+      for (const pathName of this.directModifiedPaths()) {
+        $set[pathName] = pathName.split('.').reduce((value, key) => value?.[key], data);
+      }
+      write(index, applyUpdate(store[index], { $set }));
+    }
+    
+    if (timestamps) {
+      this.updatedAt = store.find(stored => stored._id === data._id).updatedAt;
+    }
+    for (const pathName of this.modifiedPaths()) {
+      this.unmarkModified(pathName);
+    }
+    this.isNew = false;
+    return this;
+  };
+}
+
+/**
+ * Answer every model's database calls from memory (call before requiring bot modules that use them)
+ */
+function installMemoryDb() {
+  if (collections.size > 0) {
+    return;
+  }
+  
+  // Anything not patched fails right away instead of waiting for a connection
+  mongoose.set('bufferCommands', false);
+  
+  for (const name of MODEL_NAMES) {
+    patchModel(require(`../../models/${name}`));
+  }
+}
+
+/**
+ * Remove all stored documents
+ */
+function resetMemoryDb() {
+  for (const store of collections.values()) {
+    store.length = 0;
+  }
+}
+
+/**
+ * Get copies of a model's stored documents matching a filter
+ * @param {string} modelName - Model name, e.g. 'User'
+ * @param {Object} filter - MongoDB filter
+ * @returns {Array<Object>} Stored documents
+ */
+function findStored(modelName, filter = {}) {
+  const query = new Query(toPlain(filter));
+  return collections.get(modelName).filter(stored => query.test(stored)).map(stored => structuredClone(stored));
+}
+
+module.exports = {
+  installMemoryDb,
+  resetMemoryDb,
+  findStored
+};
@@ -0,0 +1,36 @@
+/**
+ * Preloaded into converter worker processes by the tests (NODE_OPTIONS=--require ...).
+ * Replaces every converter with one that doesn't convert anything: its "output" is
+ * the JSON of the arguments convert() was called with, so the test can read them
+ * back from the delivered document.
+ */
+const Module = require('module');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CATEGORIES = ['document', 'image', 'audio', 'ebook', 'font', 'subtitle'];
+
+for (const category of CATEGORIES) {
+  const filename = path.join(__dirname, '..', '..', 'converters', `${category}.js`);
+  const converter = new Module(filename, module);
+  converter.filename = filename;
+  converter.loaded = true;
+  converter.exports = {
+    /**
+     * Record the call instead of converting
+     * @param {string} inputPath - Path to input file
+     * @param {string} outputFormat - Target format
+     * @param {Object} options - Converter options
+     * @returns {Promise<string>} Path to the recorded arguments
+     */
+    async convert(inputPath, outputFormat, options) {
+      const outputPath = path.join(os.tmpdir(), `recorded_${process.pid}.${outputFormat}`);
+      fs.writeFileSync(outputPath, JSON.stringify({ category, inputPath, outputFormat, options }));
+      return outputPath;
+    }
+  };
+  
+  // The worker's require() finds the module already loaded
+  require.cache[filename] = converter;
+}
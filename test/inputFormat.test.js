@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Telegram } = require('telegraf');
+const { installMemoryDb } = require('./helpers/memoryDb');
+const { startFakeBotApi } = require('./helpers/fakeBotApi');
+
+process.env.BOT_USERNAME = 'converter_test_bot';
+
+// Converter workers load stand-ins that report what convert() received
+process.env.NODE_OPTIONS = `${process.env.NODE_OPTIONS || ''} --require ${path.join(__dirname, 'helpers', 'recordingConverters.js')}`.trim();
+
+installMemoryDb();
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { handleConversion } = require('../handlers/fileHandler');
+
+const USER_ID = 500;
+
+/**
+ * Build a ZIP local file header with a stored first entry
+ * @param {string} name - Entry name
+ * @param {string} content - Entry content
+ * @returns {Buffer} Archive start
+ */
+function zipWithFirstEntry(name, content) {
+  const header = Buffer.alloc(30);
+  header.write('PK\x03\x04', 0, 'latin1');
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, Buffer.from(name + content, 'latin1')]);
+}
+
+// One sample per category. The file names carry no (or a wrong) extension, so
+// only the content tells the converter what it gets.
+const SAMPLES = [
+  { category: 'document', fileName: 'report', target: 'docx', format: 'pdf', content: Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n1 0 obj\n', 'latin1') },
+  { category: 'image', fileName: 'photo', target: 'jpg', format: 'png', content: Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex') },
+  { category: 'audio', fileName: 'voice_note', target: 'wav', format: 'mp3', content: Buffer.concat([Buffer.from('ID3'), Buffer.from([4, 0, 0, 0, 0, 0, 0])]) },
+  { category: 'ebook', fileName: 'book.zip', target: 'mobi', format: 'epub', content: zipWithFirstEntry('mimetype', 'application/epub+zip') },
+  { category: 'font', fileName: 'font', target: 'ttf', format: 'woff', content: Buffer.concat([Buffer.from('wOFF'), Buffer.alloc(40)]) },
+  { category: 'subtitle', fileName: 'episode.txt', target: 'vtt', format: 'srt', content: Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHello\n') }
+];
+
+describe('input format reaches the converters', () => {
+  let api;
+  let telegram;
+  
+  before(async () => {
+    api = await startFakeBotApi();
+    telegram = new Telegram(api.token, { apiRoot: api.apiRoot });
+    await User.create({ userId: USER_ID, freeCredits: 100 });
+  });
+  
+  after(async () => {
+    await api.close();
+  });
+  
+  for (const sample of SAMPLES) {
+    it(`passes the sniffed ${sample.format} format to the ${sample.category} converter`, async () => {
+      const fileId = `${sample.category}-file`;
+      api.addFile(fileId, sample.content);
+      
+      const job = await Job.create({
+        jobId: `format-${sample.category}`,
+        userId: USER_ID,
+        chatId: USER_ID,
+        fileId,
+        fileName: sample.fileName,
+        fileType: sample.category,
+        fileSize: sample.content.length,
+        targetFormat: sample.target,
+        creditStatus: 'reserved',
+        creditBreakdown: { paid: 0, free: 1 }
+      });
+      
+      await handleConversion(telegram, job);
+      
+      const upload = api.callsTo('sendDocument').find(call => Number(call.params.chat_id) === USER_ID &&
+        call.params.caption.includes(`${sample.category.toUpperCase()} → ${sample.target.toUpperCase()}`));
+      assert.ok(upload, 'no converted file was delivered');
+      
+      const received = JSON.parse(upload.params.document.content.toString());
+      assert.equal(received.category, sample.category);
+      assert.equal(received.outputFormat, sample.target);
+      assert.equal(received.options.inputFormat, sample.format);
+      
+      // The downloaded file has no extension to go by
+      assert.equal(path.extname(received.inputPath), '');
+    });
+  }
+});
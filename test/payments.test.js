@@ -0,0 +1,319 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Telegraf } = require('telegraf');
+const { installMemoryDb, resetMemoryDb, findStored } = require('./helpers/memoryDb');
+const { startFakeBotApi, apiError } = require('./helpers/fakeBotApi');
+
+installMemoryDb();
+
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { setupPaymentHandlers, retryUnfulfilledPayments, refundPayment } = require('../handlers/paymentHandler');
+
+const BUYER_ID = 1001;
+const ADMIN_ID = 9;
+
+let api;
+let bot;
+let updateId = 1;
+
+/**
+ * Build a bot with the payment handlers that talks to the fake Bot API
+ * @returns {Object} Telegraf bot
+ */
+function createBot() {
+  const instance = new Telegraf(api.token, { telegram: { apiRoot: api.apiRoot } });
+  
+  // Like the user middleware in index.js
+  instance.use(async (ctx, next) => {
+    ctx.user = ctx.from ? await User.findOne({ userId: ctx.from.id }) : null;
+    return next();
+  });
+  
+  setupPaymentHandlers(instance);
+  return instance;
+}
+
+/**
+ * Build the invoice payload a credit pack invoice carries
+ * @param {string} packId - Credit pack ID
+ * @param {number} credits - Credits in the pack
+ * @param {number} userId - Buyer
+ * @returns {string} Invoice payload
+ */
+function packPayload(packId, credits, userId = BUYER_ID) {
+  return `credits:${packId}:${credits}:${userId}`;
+}
+
+/**
+ * Deliver a pre_checkout_query update
+ * @param {Object} query - Query fields (invoice_payload, total_amount, ...)
+ */
+async function sendPreCheckout(query) {
+  await bot.handleUpdate({
+    update_id: updateId++,
+    pre_checkout_query: {
+      id: `query-${updateId}`,
+      from: { id: BUYER_ID, is_bot: false, first_name: 'Buyer' },
+      currency: 'XTR',
+      ...query
+    }
+  });
+}
+
+/**
+ * Deliver a successful_payment message
+ * @param {Object} payment - Payment fields (invoice_payload, total_amount, telegram_payment_charge_id)
+ */
+async function sendSuccessfulPayment(payment) {
+  await bot.handleUpdate({
+    update_id: updateId++,
+    message: {
+      message_id: updateId,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: BUYER_ID, type: 'private' },
+      from: { id: BUYER_ID, is_bot: false, first_name: 'Buyer' },
+      successful_payment: { currency: 'XTR', provider_payment_charge_id: '', ...payment }
+    }
+  });
+}
+
+/**
+ * Buy the small credit pack (50 credits for 50 Stars)
+ * @param {string} chargeId - Telegram payment charge ID
+ */
+async function buySmallPack(chargeId) {
+  await sendSuccessfulPayment({
+    invoice_payload: packPayload('small', 50),
+    total_amount: 50,
+    telegram_payment_charge_id: chargeId
+  });
+}
+
+/**
+ * Make the next call of a model method fail, as if the database was unreachable
+ * @param {Object} Model - Mongoose model
+ * @param {string} method - Static method name
+ */
+function failNextCall(Model, method) {
+  const original = Model[method];
+  Model[method] = () => {
+    Model[method] = original;
+    throw new Error('connection lost');
+  };
+}
+
+/**
+ * Get the buyer's stored balance
+ * @returns {Object} { free, paid }
+ */
+function getBalance() {
+  const [user] = findStored('User', { userId: BUYER_ID });
+  return { free: user.freeCredits, paid: user.paidCredits };
+}
+
+describe('Telegram Stars payments', () => {
+  before(async () => {
+    api = await startFakeBotApi();
+    bot = createBot();
+  });
+  
+  after(async () => {
+    await api.close();
+  });
+  
+  beforeEach(async () => {
+    resetMemoryDb();
+    api.reset();
+    await User.create({ userId: BUYER_ID, freeCredits: 5, paidCredits: 10 });
+  });
+  
+  it('sends a Stars invoice for a credit pack', async () => {
+    await bot.handleUpdate({
+      update_id: updateId++,
+      callback_query: {
+        id: 'cb-1',
+        from: { id: BUYER_ID, is_bot: false, first_name: 'Buyer' },
+        chat_instance: '1',
+        data: 'buy_pack_small',
+        message: { message_id: 5, date: 0, chat: { id: BUYER_ID, type: 'private' } }
+      }
+    });
+    
+    const [invoice] = api.callsTo('sendInvoice');
+    assert.ok(invoice, 'no invoice was sent');
+    assert.equal(Number(invoice.params.chat_id), BUYER_ID);
+    assert.equal(invoice.params.currency, 'XTR');
+    assert.equal(invoice.params.provider_token, '');
+    assert.equal(invoice.params.payload, packPayload('small', 50));
+    assert.deepEqual(invoice.params.prices, [{ label: '50 credits', amount: 50 }]);
+  });
+  
+  it('accepts a pre-checkout query that matches the offer', async () => {
+    await sendPreCheckout({ invoice_payload: packPayload('small', 50), total_amount: 50 });
+    
+    const [answer] = api.callsTo('answerPreCheckoutQuery');
+    assert.equal(answer.params.ok, true);
+  });
+  
+  it('rejects a pre-checkout query with a changed price or for another user', async () => {
+    await sendPreCheckout({ invoice_payload: packPayload('small', 50), total_amount: 1 });
+    await sendPreCheckout({ invoice_payload: packPayload('small', 50, 2002), total_amount: 50 });
+    await sendPreCheckout({ invoice_payload: 'credits:gone:50:1001', total_amount: 50 });
+    
+    const answers = api.callsTo('answerPreCheckoutQuery');
+    assert.equal(answers.length, 3);
+    for (const answer of answers) {
+      assert.equal(answer.params.ok, false);
+      assert.ok(answer.params.error_message);
+    }
+  });
+  
+  it('adds the credits of a payment once, even when Telegram delivers it twice', async () => {
+    await buySmallPack('charge-1');
+    await buySmallPack('charge-1');
+    
+    assert.deepEqual(getBalance(), { free: 5, paid: 60 });
+    
+    const payments = findStored('Payment', { telegramPaymentChargeId: 'charge-1' });
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].fulfillment, 'done');
+    assert.equal(findStored('CreditTransaction', { type: 'purchase' }).length, 1);
+    
+    const receipts = api.callsTo('sendMessage').filter(call => call.params.text.includes('Payment received'));
+    assert.equal(receipts.length, 1);
+    assert.match(receipts[0].params.text, /charge-1/);
+  });
+  
+  it('retries a payment that could not be applied', async () => {
+    failNextCall(User, 'findOneAndUpdate');
+    await buySmallPack('charge-2');
+    
+    assert.deepEqual(getBalance(), { free: 5, paid: 10 });
+    assert.equal(findStored('Payment')[0].fulfillment, 'failed');
+    assert.ok(api.callsTo('sendMessage').some(call => call.params.text.includes('retried automatically')));
+    
+    // The retry job leaves payments younger than a minute to the handler
+    assert.deepEqual(await retryUnfulfilledPayments(bot.telegram), { fulfilled: 0, failed: 0, stuck: 0 });
+    
+    await Payment.updateOne({ telegramPaymentChargeId: 'charge-2' }, { $set: { createdAt: new Date(Date.now() - 2 * 60 * 1000) } });
+    assert.deepEqual(await retryUnfulfilledPayments(bot.telegram), { fulfilled: 1, failed: 0, stuck: 0 });
+    assert.deepEqual(await retryUnfulfilledPayments(bot.telegram), { fulfilled: 0, failed: 0, stuck: 0 });
+    
+    assert.deepEqual(getBalance(), { free: 5, paid: 60 });
+    assert.equal(findStored('Payment')[0].fulfillment, 'done');
+    assert.ok(api.callsTo('sendMessage').some(call => Number(call.params.chat_id) === BUYER_ID && call.params.text.includes('Payment received')));
+  });
+  
+  it('refunds a payment through the Bot API and takes its credits back', async () => {
+    await buySmallPack('charge-3');
+    
+    // The payment is marked before Telegram is asked, so a crash in between can be resumed
+    api.on('refundStarPayment', () => {
+      assert.equal(findStored('Payment', { telegramPaymentChargeId: 'charge-3' })[0].status, 'refund_pending');
+      return true;
+    });
+    
+    await refundPayment(bot.telegram, 'charge-3', { adminId: ADMIN_ID, reason: 'Requested by user' });
+    
+    const [refund] = api.callsTo('refundStarPayment');
+    assert.equal(Number(refund.params.user_id), BUYER_ID);
+    assert.equal(refund.params.telegram_payment_charge_id, 'charge-3');
+    
+    assert.deepEqual(getBalance(), { free: 5, paid: 10 });
+    const [payment] = findStored('Payment', { telegramPaymentChargeId: 'charge-3' });
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.creditsRemoved, 50);
+    assert.equal(payment.refundedBy, ADMIN_ID);
+    assert.ok(api.callsTo('sendMessage').some(call => call.params.text.includes('was refunded')));
+    
+    await assert.rejects(refundPayment(bot.telegram, 'charge-3', { adminId: ADMIN_ID }), { code: 'ALREADY_REFUNDED' });
+    assert.equal(api.callsTo('refundStarPayment').length, 1);
+  });
+  
+  it('finishes an interrupted refund without refunding the Stars twice', async () => {
+    await buySmallPack('charge-4');
+    
+    // Telegram refunded the Stars, then taking the credits back failed
+    failNextCall(User, 'findOneAndUpdate');
+    await assert.rejects(refundPayment(bot.telegram, 'charge-4', { adminId: ADMIN_ID }), /connection lost/);
+    
+    let [payment] = findStored('Payment', { telegramPaymentChargeId: 'charge-4' });
+    assert.equal(payment.status, 'refund_pending');
+    assert.ok(payment.refundedAt);
+    assert.deepEqual(getBalance(), { free: 5, paid: 60 });
+    
+    await refundPayment(bot.telegram, 'charge-4', { adminId: ADMIN_ID });
+    
+    [payment] = findStored('Payment', { telegramPaymentChargeId: 'charge-4' });
+    assert.equal(payment.status, 'refunded');
+    assert.equal(api.callsTo('refundStarPayment').length, 1);
+    assert.deepEqual(getBalance(), { free: 5, paid: 10 });
+  });
+  
+  it('takes the credits back once when a refund is resumed after removing them', async () => {
+    await buySmallPack('charge-8');
+    
+    // The credits were taken back, then marking the payment refunded failed
+    const save = Payment.prototype.save;
+    Payment.prototype.save = function() {
+      if (this.status === 'refunded') {
+        Payment.prototype.save = save;
+        throw new Error('connection lost');
+      }
+      return save.call(this);
+    };
+    await assert.rejects(refundPayment(bot.telegram, 'charge-8', { adminId: ADMIN_ID }), /connection lost/);
+    
+    let [payment] = findStored('Payment', { telegramPaymentChargeId: 'charge-8' });
+    assert.equal(payment.status, 'refund_pending');
+    assert.ok(payment.clawedBackAt);
+    assert.deepEqual(getBalance(), { free: 5, paid: 10 });
+    
+    await refundPayment(bot.telegram, 'charge-8', { adminId: ADMIN_ID });
+    
+    [payment] = findStored('Payment', { telegramPaymentChargeId: 'charge-8' });
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.creditsRemoved, 50);
+    assert.deepEqual(getBalance(), { free: 5, paid: 10 });
+    assert.equal(findStored('CreditTransaction', { type: 'purchase_refund' }).length, 1);
+  });
+  
+  it('completes a refund that Telegram reports as already refunded', async () => {
+    await buySmallPack('charge-5');
+    api.on('refundStarPayment', () => {
+      throw apiError(400, 'Bad Request: CHARGE_ALREADY_REFUNDED');
+    });
+    
+    await refundPayment(bot.telegram, 'charge-5', { adminId: ADMIN_ID });
+    
+    assert.equal(findStored('Payment', { telegramPaymentChargeId: 'charge-5' })[0].status, 'refunded');
+    assert.deepEqual(getBalance(), { free: 5, paid: 10 });
+  });
+  
+  it('leaves the payment refundable again when the Bot API rejects the refund', async () => {
+    await buySmallPack('charge-6');
+    api.on('refundStarPayment', () => {
+      throw apiError(400, 'Bad Request: PAYMENT_NOT_FOUND');
+    });
+    
+    await assert.rejects(refundPayment(bot.telegram, 'charge-6', { adminId: ADMIN_ID }), /PAYMENT_NOT_FOUND/);
+    
+    const [payment] = findStored('Payment', { telegramPaymentChargeId: 'charge-6' });
+    assert.equal(payment.status, 'refund_pending');
+    assert.equal(payment.refundedAt, null);
+    assert.deepEqual(getBalance(), { free: 5, paid: 60 });
+  });
+  
+  it('does not take back credits of a payment that was never applied', async () => {
+    failNextCall(User, 'findOneAndUpdate');
+    await buySmallPack('charge-7');
+    
+    await refundPayment(bot.telegram, 'charge-7', { adminId: ADMIN_ID });
+    
+    const [payment] = findStored('Payment', { telegramPaymentChargeId: 'charge-7' });
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.creditsRemoved, 0);
+    assert.deepEqual(getBalance(), { free: 5, paid: 10 });
+  });
+});
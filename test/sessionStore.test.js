@@ -0,0 +1,48 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installMemoryDb, resetMemoryDb, findStored } = require('./helpers/memoryDb');
+
+installMemoryDb();
+
+const { createSessionStore } = require('../utils/sessionStore');
+
+const KEY = '1001:1001';
+
+describe('MongoDB session store', () => {
+  beforeEach(() => {
+    resetMemoryDb();
+  });
+  
+  it('keeps the changes of two bot instances saving the same session', async () => {
+    const first = createSessionStore();
+    const second = createSessionStore();
+    await first.set(KEY, { pendingFiles: { a: { fileId: 'file-a' } } });
+    
+    // Both instances handle an update of the same user at the same time
+    const firstSession = await first.get(KEY);
+    const secondSession = await second.get(KEY);
+    firstSession.pendingFiles.b = { fileId: 'file-b' };
+    delete firstSession.pendingFiles.a;
+    secondSession.pendingGift = { recipientId: 2002, amount: 5 };
+    await first.set(KEY, firstSession);
+    await second.set(KEY, secondSession);
+    
+    const [stored] = findStored('Session', { key: KEY });
+    assert.deepEqual(stored.data, {
+      pendingFiles: { b: { fileId: 'file-b' } },
+      pendingGift: { recipientId: 2002, amount: 5 }
+    });
+  });
+  
+  it('writes nothing but the expiry when the session did not change', async () => {
+    const store = createSessionStore();
+    await store.set(KEY, { pendingGift: { amount: 5 } });
+    const session = await store.get(KEY);
+    
+    // Changed by another instance after this one loaded the session
+    await createSessionStore().set(KEY, { pendingGift: { amount: 7 } });
+    await store.set(KEY, session);
+    
+    assert.deepEqual(findStored('Session', { key: KEY })[0].data, { pendingGift: { amount: 7 } });
+  });
+});
@@ -0,0 +1,153 @@
+const ConversionStat = require('../models/ConversionStat');
+
+// Upper bounds of the size buckets in bytes
+const SIZE_BUCKETS = [
+  { name: 'small', maxSize: 1024 * 1024 },        // up to 1MB
+  { name: 'medium', maxSize: 20 * 1024 * 1024 },  // up to 20MB
+  { name: 'large', maxSize: Infinity }
+];
+
+// Used until a format has completed at least once
+const DEFAULT_DURATION = 30 * 1000;
+
+// Weight of the newest sample once a bucket has enough history
+const SMOOTHING_FACTOR = 0.2;
+const MIN_SAMPLES_FOR_SMOOTHING = 5;
+
+// In-memory copy of the ConversionStat collection, keyed by category:target:bucket
+const stats = new Map();
+
+/**
+ * Get the size bucket name for a file size
+ * @param {number} fileSize - File size in bytes
+ * @returns {string} Size bucket name
+ */
+function getSizeBucket(fileSize) {
+  return SIZE_BUCKETS.find(bucket => (fileSize || 0) <= bucket.maxSize).name;
+}
+
+/**
+ * Build the stats key for a job
+ * @param {string} category - File type category
+ * @param {string} targetFormat - Target format
+ * @param {string} sizeBucket - Size bucket name
+ * @returns {string} Stats key
+ */
+function getStatKey(category, targetFormat, sizeBucket) {
+  return `${category}:${targetFormat}:${sizeBucket}`;
+}
+
+/**
+ * Load duration statistics from the database
+ * @returns {number} Number of loaded entries
+ */
+async function loadConversionStats() {
+  const entries = await ConversionStat.find().lean();
+  
+  stats.clear();
+  for (const entry of entries) {
+    stats.set(getStatKey(entry.category, entry.targetFormat, entry.sizeBucket), entry);
+  }
+  
+  console.log(`⏱️ Loaded ${entries.length} conversion timing entries`);
+  return entries.length;
+}
+
+/**
+ * Record how long a completed job took
+ * @param {Object} job - Job document
+ * @param {number} duration - Processing time in milliseconds
+ */
+async function recordConversionTime(job, duration) {
+  const sizeBucket = getSizeBucket(job.fileSize);
+  const key = getStatKey(job.fileType, job.targetFormat, sizeBucket);
+  const entry = stats.get(key) || {
+    category: job.fileType,
+    targetFormat: job.targetFormat,
+    sizeBucket,
+    count: 0,
+    averageDuration: 0
+  };
+  
+  // Plain mean for the first samples, then a moving average that follows load changes
+  if (entry.count < MIN_SAMPLES_FOR_SMOOTHING) {
+    entry.averageDuration = (entry.averageDuration * entry.count + duration) / (entry.count + 1);
+  } else {
+    entry.averageDuration = entry.averageDuration * (1 - SMOOTHING_FACTOR) + duration * SMOOTHING_FACTOR;
+  }
+  entry.count++;
+  entry.lastDuration = duration;
+  stats.set(key, entry);
+  
+  try {
+    await ConversionStat.updateOne(
+      { category: entry.category, targetFormat: entry.targetFormat, sizeBucket },
+      { $set: { averageDuration: entry.averageDuration, lastDuration: duration, count: entry.count } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Failed to save conversion timing:', error);
+  }
+}
+
+/**
+ * Average the matching entries, weighted by their sample count
+ * @param {Function} filter - Entry filter
+ * @returns {number|null} Average duration in milliseconds
+ */
+function averageOf(filter) {
+  let total = 0;
+  let count = 0;
+  
+  for (const entry of stats.values()) {
+    if (filter(entry)) {
+      total += entry.averageDuration * entry.count;
+      count += entry.count;
+    }
+  }
+  
+  return count > 0 ? total / count : null;
+}
+
+/**
+ * Estimate how long a job will take to process.
+ * Falls back from the exact size bucket to the same target format, then to the whole category.
+ * @param {Object} job - Job document (fileType, targetFormat, fileSize)
+ * @returns {number} Estimated duration in milliseconds
+ */
+function estimateDuration(job) {
+  const exact = stats.get(getStatKey(job.fileType, job.targetFormat, getSizeBucket(job.fileSize)));
+  if (exact && exact.count > 0) {
+    return exact.averageDuration;
+  }
+  
+  return averageOf(entry => entry.category === job.fileType && entry.targetFormat === job.targetFormat) ||
+    averageOf(entry => entry.category === job.fileType) ||
+    DEFAULT_DURATION;
+}
+
+/**
+ * Format a duration for users
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} Formatted duration, e.g. "2m 10s"
+ */
+function formatDuration(duration) {
+  const totalSeconds = Math.max(1, Math.ceil(duration / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+module.exports = {
+  getSizeBucket,
+  loadConversionStats,
+  recordConversionTime,
+  estimateDuration,
+  formatDuration
+};
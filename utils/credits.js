@@ -1,71 +1,316 @@
 const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const { getUserPlan, getPlanAllowance, getResetSchedule, isResetDue } = require('./plans');
+const { resolveTimezone, getUserTimezone, formatLocalTime } = require('./timezones');
+
+// Ledger labels per transaction type
+const TRANSACTION_LABELS = {
+  deduction: '➖ Conversion',
+  refund: '↩️ Refund',
+  admin_grant: '🎁 Admin grant',
+  daily_reset: '🔄 Allowance reset',
+  referral_bonus: '🤝 Referral bonus',
+  purchase: '🛒 Purchase',
+  purchase_refund: '💸 Purchase refund',
+  promo_code: '🎟 Promo code',
+  gift_sent: '🎁 Gift sent',
+  gift_received: '🎁 Gift received'
+};
+
+/**
+ * Append an entry to the credit ledger.
+ * Balances are already updated at this point, so a failed write is logged instead of thrown.
+ * @param {Object} entry - Transaction data (userId, type, creditType, amount, ...)
+ * @returns {Promise<Object|null>} Created transaction
+ */
+async function recordTransaction(entry) {
+  try {
+    return await CreditTransaction.create(entry);
+  } catch (error) {
+    console.error('Failed to record credit transaction:', entry, error);
+    return null;
+  }
+}
 
 /**
- * Reset daily credits if it's a new day
+ * Copy fields written by an atomic update onto a loaded document,
+ * without marking them for the next save (which could overwrite newer values)
+ * @param {Object} user - User document
+ * @param {Object} values - Field values
+ */
+function syncUserFields(user, values) {
+  for (const [field, value] of Object.entries(values)) {
+    user[field] = value;
+    if (typeof user.unmarkModified === 'function') {
+      user.unmarkModified(field);
+    }
+  }
+}
+
+/**
+ * Refill the user's allowance if a new period of their plan started (local day or month).
+ * The update only applies while the period's key isn't stored yet, so this and the
+ * cron reset can race without refilling twice.
  * @param {Object} user - User object from database
  * @returns {Object} Updated user object
  */
 async function resetDailyCredits(user) {
   const now = new Date();
-  const lastReset = new Date(user.lastReset);
+  const schedule = getResetSchedule(user, now);
+  
+  if (!isResetDue(user, schedule)) {
+    return user;
+  }
   
-  // Check if it's a new day (UTC)
-  const isNewDay = (
-    now.getUTCDate() !== lastReset.getUTCDate() || 
-    now.getUTCMonth() !== lastReset.getUTCMonth() ||
-    now.getUTCFullYear() !== lastReset.getUTCFullYear()
+  const { plan, key, nextResetAt } = schedule;
+  const allowance = getPlanAllowance(plan);
+  const before = await User.findOneAndUpdate(
+    { userId: user.userId, lastResetKey: { $ne: key } },
+    { $set: { freeCredits: allowance, lastReset: now, lastResetKey: key, nextResetAt } }
   );
   
-  if (isNewDay) {
-    user.freeCredits = parseInt(process.env.DAILY_FREE_CREDITS);
-    user.lastReset = now;
-    await user.save();
-    
-    console.log(`✅ Credits reset for user ${user.userId}: ${user.freeCredits} free credits`);
+  if (!before) {
+    // Already reset by the cron job, pick up its values
+    const current = await User.findOne({ userId: user.userId }, { freeCredits: 1, lastReset: 1, lastResetKey: 1, nextResetAt: 1 }).lean();
+    syncUserFields(user, {
+      freeCredits: current.freeCredits,
+      lastReset: current.lastReset,
+      lastResetKey: current.lastResetKey,
+      nextResetAt: current.nextResetAt
+    });
+    return user;
   }
   
+  syncUserFields(user, { freeCredits: allowance, lastReset: now, lastResetKey: key, nextResetAt });
+  
+  if (allowance !== before.freeCredits) {
+    await recordTransaction({
+      userId: user.userId,
+      type: 'daily_reset',
+      creditType: 'free',
+      amount: allowance - before.freeCredits,
+      balanceAfter: allowance + before.paidCredits,
+      description: plan.id === 'free' ? null : `${plan.name} plan allowance`
+    });
+  }
+  
+  console.log(`✅ Credits reset for user ${user.userId}: ${allowance} free credits (${plan.name} plan, ${key})`);
   return user;
 }
 
 /**
- * Deduct one credit from user account
- * @param {Object} user - User object from database
- * @returns {Promise} Save promise
+ * Change the timezone a user's allowance resets in.
+ * A reset that is due in the old timezone is applied first; the current period of the
+ * new timezone then counts as reset, so switching zones can never add an extra refill.
+ * @param {Object} user - User document
+ * @param {string} timezone - IANA timezone, or null to derive it from the language again
+ * @returns {Promise<Object>} Updated user
+ * @throws {Error} INVALID_TIMEZONE
  */
-function deductCredit(user) {
-  if (user.paidCredits > 0) {
-    user.paidCredits -= 1;
-  } else if (user.freeCredits > 0) {
-    user.freeCredits -= 1;
-  } else {
-    throw new Error('No credits available');
+async function setUserTimezone(user, timezone) {
+  const resolved = timezone ? resolveTimezone(timezone) : null;
+  if (timezone && !resolved) {
+    const err = new Error(`Unknown timezone: ${timezone}`);
+    err.code = 'INVALID_TIMEZONE';
+    throw err;
+  }
+  
+  await resetDailyCredits(user);
+  
+  user.preferences.timezone = resolved;
+  const { key, nextResetAt } = getResetSchedule(user);
+  user.lastResetKey = key;
+  user.nextResetAt = nextResetAt;
+  await user.save();
+  
+  return user;
+}
+
+/**
+ * Reserve credits for a conversion, paid credits first.
+ * The balance drops right away so queued jobs cannot spend the same credits twice,
+ * but they only count as used once the job commits them.
+ * @param {number} userId - User ID
+ * @param {number} amount - Credits to reserve
+ * @param {Object} details - Ledger details
+ * @param {string} details.jobId - Job the credits are reserved for
+ * @returns {Promise<Object>} Credits taken from each balance: { paid, free }
+ * @throws {Error} INSUFFICIENT_CREDITS when both balances together are too low
+ */
+async function reserveCredits(userId, amount, { jobId = null } = {}) {
+  // One conditional pipeline update, so concurrent reservations never overdraw
+  const before = await User.findOneAndUpdate(
+    { userId, $expr: { $gte: [{ $add: ['$freeCredits', '$paidCredits'] }, amount] } },
+    [{
+      $set: {
+        paidCredits: { $max: [{ $subtract: ['$paidCredits', amount] }, 0] },
+        freeCredits: { $subtract: ['$freeCredits', { $max: [{ $subtract: [amount, '$paidCredits'] }, 0] }] }
+      }
+    }]
+  );
+  
+  if (!before) {
+    const err = new Error('Not enough credits available');
+    err.code = 'INSUFFICIENT_CREDITS';
+    throw err;
   }
   
-  user.totalCreditsUsed += 1;
-  console.log(`Credit deducted for user ${user.userId}. Remaining: ${user.freeCredits} free, ${user.paidCredits} paid`);
+  const paid = Math.min(before.paidCredits, amount);
+  const breakdown = { paid, free: amount - paid };
+  let balance = before.freeCredits + before.paidCredits;
   
-  return user.save();
+  for (const creditType of ['paid', 'free']) {
+    if (breakdown[creditType] > 0) {
+      balance -= breakdown[creditType];
+      await recordTransaction({
+        userId,
+        type: 'deduction',
+        creditType,
+        amount: -breakdown[creditType],
+        balanceAfter: balance,
+        jobId
+      });
+    }
+  }
+  
+  console.log(`Reserved ${amount} credits for user ${userId} (${breakdown.paid} paid, ${breakdown.free} free)`);
+  return breakdown;
+}
+
+/**
+ * Count reserved credits as used once the converted file was delivered
+ * @param {number} userId - User ID
+ * @param {number} amount - Credits to commit
+ * @returns {Promise} Update result
+ */
+async function commitCredits(userId, amount) {
+  const result = await User.updateOne(
+    { userId },
+    { $inc: { totalCreditsUsed: amount } }
+  );
+  
+  console.log(`Committed ${amount} credits for user ${userId}`);
+  return result;
+}
+
+/**
+ * Give back reserved credits (failure, timeout or cancellation)
+ * @param {number} userId - User ID
+ * @param {Object} breakdown - Credits taken from each balance: { paid, free }
+ * @param {Date} reservedAt - When the credits were reserved
+ * @param {Object} details - Ledger details
+ * @param {string} details.jobId - Job the credits were reserved for
+ * @returns {Promise<number>} Number of credits returned
+ */
+async function releaseCredits(userId, breakdown, reservedAt, { jobId = null } = {}) {
+  let released = 0;
+  
+  for (const creditType of ['paid', 'free']) {
+    const amount = breakdown[creditType] || 0;
+    if (amount <= 0) continue;
+    
+    const balanceField = creditType === 'paid' ? 'paidCredits' : 'freeCredits';
+    const filter = { userId };
+    
+    // A daily reset since the reservation already refilled the free balance
+    if (creditType === 'free' && reservedAt) {
+      filter.lastReset = { $lte: reservedAt };
+    }
+    
+    const user = await User.findOneAndUpdate(filter, { $inc: { [balanceField]: amount } }, { new: true });
+    if (!user) {
+      console.log(`Reserved ${creditType} credits of user ${userId} expired with the daily reset`);
+      continue;
+    }
+    
+    released += amount;
+    await recordTransaction({
+      userId,
+      type: 'refund',
+      creditType,
+      amount,
+      balanceAfter: user.freeCredits + user.paidCredits,
+      jobId
+    });
+  }
+  
+  console.log(`Released ${released} credits to user ${userId}`);
+  return released;
 }
 
 /**
  * Add paid credits to user account
  * @param {number} userId - User ID
  * @param {number} credits - Number of credits to add
+ * @param {Object} details - Ledger details
+ * @param {string} details.type - Transaction type ('admin_grant', 'purchase', 'referral_bonus', 'promo_code')
+ * @param {number} details.adminId - Admin who granted the credits
+ * @param {string} details.description - Note shown in the ledger
  * @returns {Promise} Updated user object
  */
-async function addPaidCredits(userId, credits) {
-  const user = await User.findOne({ userId });
+async function addPaidCredits(userId, credits, { type = 'admin_grant', adminId = null, description = null } = {}) {
+  // Atomic, so a reservation or grant running at the same time is never overwritten
+  const user = await User.findOneAndUpdate(
+    { userId },
+    { $inc: { paidCredits: credits } },
+    { new: true }
+  );
   if (!user) {
     throw new Error('User not found');
   }
   
-  user.paidCredits += credits;
-  await user.save();
+  await recordTransaction({
+    userId,
+    type,
+    creditType: 'paid',
+    amount: credits,
+    balanceAfter: user.freeCredits + user.paidCredits,
+    adminId,
+    description
+  });
   
   console.log(`Added ${credits} paid credits to user ${userId}. Total paid credits: ${user.paidCredits}`);
   return user;
 }
 
+/**
+ * Take paid credits back from a user account (e.g. a refunded purchase).
+ * Credits that were already spent cannot be taken back, so the balance never goes negative.
+ * @param {number} userId - User ID
+ * @param {number} credits - Number of credits to remove
+ * @param {Object} details - Ledger details
+ * @param {string} details.type - Transaction type ('purchase_refund')
+ * @param {number} details.adminId - Admin who removed the credits
+ * @param {string} details.description - Note shown in the ledger
+ * @returns {Promise<number>} Number of credits actually removed
+ */
+async function removePaidCredits(userId, credits, { type = 'purchase_refund', adminId = null, description = null } = {}) {
+  const before = await User.findOneAndUpdate(
+    { userId },
+    [{ $set: { paidCredits: { $max: [{ $subtract: ['$paidCredits', credits] }, 0] } } }]
+  );
+  
+  if (!before) {
+    throw new Error('User not found');
+  }
+  
+  const removed = Math.min(before.paidCredits, credits);
+  if (removed > 0) {
+    await recordTransaction({
+      userId,
+      type,
+      creditType: 'paid',
+      amount: -removed,
+      balanceAfter: before.freeCredits + before.paidCredits - removed,
+      adminId,
+      description
+    });
+  }
+  
+  console.log(`Removed ${removed}/${credits} paid credits from user ${userId}`);
+  return removed;
+}
+
 /**
  * Check if user has enough credits
  * @param {Object} user - User object
@@ -83,64 +328,169 @@ function hasEnoughCredits(user, required = 1) {
  */
 function getCreditStatus(user) {
   const totalCredits = user.freeCredits + user.paidCredits;
+  const plan = getUserPlan(user);
   
   if (totalCredits === 0) {
     return '❌ No credits remaining';
   }
   
   let status = `💎 **Your Credits:**\n\n`;
-  status += `🆓 Free: ${user.freeCredits}/${process.env.DAILY_FREE_CREDITS}\n`;
+  status += `📅 Plan: ${plan.name}${plan.id !== 'free' ? ` (until ${user.planExpiresAt.toDateString()})` : ''}\n`;
+  status += `🆓 Free: ${user.freeCredits}/${getPlanAllowance(plan)}\n`;
   
   if (user.paidCredits > 0) {
     status += `💰 Paid: ${user.paidCredits}\n`;
   }
   
-  status += `\n⏰ Free credits reset daily at 00:00 UTC`;
-  status += `\n🔄 Last reset: ${user.lastReset.toDateString()}`;
+  // Escape timezone names like America/New_York for Markdown
+  const timezone = getUserTimezone(user);
+  const escape = text => text.replace(/_/g, '\\_');
+  status += plan.period === 'monthly'
+    ? `\n⏰ Free credits reset on the 1st of every month at 00:00 ${escape(timezone)}`
+    : `\n⏰ Free credits reset daily at 00:00 ${escape(timezone)}`;
+  status += `\n🔄 Last reset: ${escape(formatLocalTime(user.lastReset, timezone))}`;
   status += `\n📊 Total used: ${user.totalCreditsUsed}`;
   
   return status;
 }
 
+/**
+ * Format a ledger entry for chat messages
+ * @param {Object} transaction - CreditTransaction document
+ * @returns {string} Formatted entry
+ */
+function formatTransaction(transaction) {
+  const date = new Date(transaction.createdAt).toLocaleDateString();
+  const time = new Date(transaction.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const amount = transaction.amount > 0 ? `+${transaction.amount}` : `${transaction.amount}`;
+  
+  let text = `${TRANSACTION_LABELS[transaction.type] || transaction.type}: ${amount} ${transaction.creditType}`;
+  if (transaction.balanceAfter !== null && transaction.balanceAfter !== undefined) {
+    text += ` → ${transaction.balanceAfter}`;
+  }
+  text += `\n   📅 ${date} ${time}`;
+  
+  if (transaction.jobId) {
+    text += ` · job ${transaction.jobId.substr(0, 8)}`;
+  }
+  if (transaction.adminId) {
+    text += ` · admin ${transaction.adminId}`;
+  }
+  if (transaction.description) {
+    text += `\n   📝 ${transaction.description}`;
+  }
+  
+  return text;
+}
+
 /**
  * Get time until next credit reset
- * @returns {string} Time remaining until reset
+ * @param {Object} user - User object (resets follow their plan and timezone)
+ * @returns {string} Time remaining until reset and the local reset time
  */
-function getTimeUntilReset() {
+function getTimeUntilReset(user = {}) {
   const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
-  tomorrow.setUTCHours(0, 0, 0, 0);
+  const { timezone, nextResetAt } = getResetSchedule(user, now);
   
-  const diff = tomorrow.getTime() - now.getTime();
-  const hours = Math.floor(diff / (1000 * 60 * 60));
+  const diff = nextResetAt.getTime() - now.getTime();
+  const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+  const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
   const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
   
-  return `${hours}h ${minutes}m`;
+  const remaining = days > 0 ? `${days}d ${hours}h` : `${hours}h ${minutes}m`;
+  return `${remaining} (${formatLocalTime(nextResetAt, timezone)})`;
 }
 
 /**
- * Process bulk credit reset (for cron job)
+ * Process bulk credit reset (for cron job, runs every few minutes).
+ * Picks up users whose local midnight (or 1st of the month) has passed; banned users are skipped.
+ * Each update is guarded by the period key, so users already reset lazily are left alone.
  * @returns {Object} Reset statistics
  */
 async function processBulkCreditReset() {
   const startTime = Date.now();
+  const now = new Date();
+  const batchSize = 500;
   
   try {
-    const result = await User.updateMany(
-      {},
-      { 
-        freeCredits: parseInt(process.env.DAILY_FREE_CREDITS),
-        lastReset: new Date()
+    let usersUpdated = 0;
+    let updates = [];
+    let resets = new Map();
+    
+    const flush = async () => {
+      if (updates.length > 0) {
+        await User.bulkWrite(updates, { ordered: false });
+      }
+      
+      // Only users whose reset this run applied (lastReset === now) get a ledger entry
+      if (resets.size > 0) {
+        const applied = await User.find({ _id: { $in: [...resets.keys()] }, lastReset: now }, { _id: 1 }).lean();
+        const transactions = applied
+          .map(({ _id }) => resets.get(String(_id)))
+          .filter(transaction => transaction.amount !== 0);
+        
+        usersUpdated += applied.length;
+        if (transactions.length > 0) {
+          await CreditTransaction.insertMany(transactions);
+        }
+      }
+      
+      updates = [];
+      resets = new Map();
+    };
+    
+    const filter = {
+      isBanned: { $ne: true },
+      $or: [{ nextResetAt: null }, { nextResetAt: { $lte: now } }]
+    };
+    const projection = {
+      userId: 1, freeCredits: 1, paidCredits: 1, lastReset: 1, lastResetKey: 1,
+      plan: 1, planExpiresAt: 1, 'preferences.timezone': 1, 'preferences.language': 1
+    };
+    
+    const cursor = User.find(filter, projection).lean().cursor();
+    for await (const user of cursor) {
+      const schedule = getResetSchedule(user, now);
+      const { plan, key, nextResetAt } = schedule;
+      
+      if (!isResetDue(user, schedule)) {
+        // Reset earlier in this period, just schedule the next one
+        updates.push({
+          updateOne: {
+            filter: { _id: user._id },
+            update: { $set: { nextResetAt, lastResetKey: key } }
+          }
+        });
+      } else {
+        const allowance = getPlanAllowance(plan);
+        updates.push({
+          updateOne: {
+            filter: { _id: user._id, lastResetKey: { $ne: key } },
+            update: { $set: { freeCredits: allowance, lastReset: now, lastResetKey: key, nextResetAt } }
+          }
+        });
+        resets.set(String(user._id), {
+          userId: user.userId,
+          type: 'daily_reset',
+          creditType: 'free',
+          amount: allowance - user.freeCredits,
+          balanceAfter: allowance + user.paidCredits,
+          description: plan.id === 'free' ? null : `${plan.name} plan allowance`
+        });
+      }
+      
+      if (updates.length >= batchSize) {
+        await flush();
       }
-    );
+    }
+    await flush();
     
     const endTime = Date.now();
     const duration = endTime - startTime;
     
     return {
       success: true,
-      usersUpdated: result.modifiedCount,
+      usersUpdated: usersUpdated,
       duration: `${duration}ms`
     };
   } catch (error) {
@@ -153,8 +503,15 @@ async function processBulkCreditReset() {
 
 module.exports = {
   resetDailyCredits,
-  deductCredit,
+  setUserTimezone,
+  reserveCredits,
+  commitCredits,
+  releaseCredits,
   addPaidCredits,
+  removePaidCredits,
+  recordTransaction,
+  syncUserFields,
+  formatTransaction,
   hasEnoughCredits,
   getCreditStatus,
   getTimeUntilReset,
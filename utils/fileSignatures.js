@@ -0,0 +1,168 @@
+// Bytes of the file start that are downloaded and inspected
+const SNIFF_BYTES = 64 * 1024;
+
+// Extensions that name the same format as the one detected from content
+const FORMAT_ALIASES = {
+  jpeg: 'jpg',
+  tif: 'tiff',
+  heif: 'heic',
+  azw3: 'mobi', // KF8 books carry the same BOOKMOBI header
+  ssa: 'ass'
+};
+
+// Valid BMP info header sizes and EOT header versions, to rule out chance matches
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+const EOT_VERSIONS = [0x00010000, 0x00020001, 0x00020002];
+
+/**
+ * Check if a buffer holds the given bytes at an offset
+ * @param {Buffer} buffer - File start
+ * @param {number} offset - Byte offset
+ * @param {string|Array<number>} bytes - ASCII text or byte values
+ * @returns {boolean} Whether the bytes match
+ */
+function hasBytes(buffer, offset, bytes) {
+  const expected = Buffer.from(bytes);
+  return buffer.length >= offset + expected.length &&
+    buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Detect ISO media files (AVIF, HEIC, M4A) by their ftyp brand
+ * @param {Buffer} buffer - File start
+ * @returns {Object|null} Detected format
+ */
+function sniffIsoMedia(buffer) {
+  if (!hasBytes(buffer, 4, 'ftyp')) {
+    return null;
+  }
+  
+  const brand = buffer.toString('ascii', 8, 12);
+  if (['avif', 'avis'].includes(brand)) return { format: 'avif', category: 'image' };
+  if (['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return { format: 'heic', category: 'image' };
+  if (['M4A ', 'M4B '].includes(brand)) return { format: 'm4a', category: 'audio' };
+  
+  // Generic MP4 brands could be audio or video, the name decides
+  return null;
+}
+
+/**
+ * Tell ZIP-based formats apart by the entry names near the start of the archive
+ * @param {Buffer} buffer - File start
+ * @returns {Object|null} Detected format
+ */
+function sniffZip(buffer) {
+  // EPUB and ODF store an uncompressed "mimetype" entry first
+  const head = buffer.toString('latin1');
+  if (head.startsWith('mimetypeapplication/epub+zip', 30)) return { format: 'epub', category: 'ebook' };
+  if (head.startsWith('mimetypeapplication/vnd.oasis.opendocument.text', 30)) return { format: 'odt', category: 'document' };
+  if (head.includes('[Content_Types].xml') && head.includes('word/')) return { format: 'docx', category: 'document' };
+  if (/\.(jpe?g|png|webp|gif)/i.test(head)) return { format: 'cbz', category: 'ebook' };
+  
+  return null;
+}
+
+/**
+ * Detect text-based formats (subtitles, FB2, SVG)
+ * @param {Buffer} buffer - File start
+ * @returns {Object|null} Detected format
+ */
+function sniffText(buffer) {
+  if (!looksLikeText(buffer)) {
+    return null;
+  }
+  
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  
+  if (text.startsWith('WEBVTT')) return { format: 'vtt', category: 'subtitle' };
+  if (/^\d+\r?\n\d{1,2}:\d{2}:\d{2}[,.]\d{3} --> /.test(text)) return { format: 'srt', category: 'subtitle' };
+  if (text.startsWith('[Script Info]')) {
+    return { format: /ScriptType:\s*v4\.00\+/i.test(text) ? 'ass' : 'ssa', category: 'subtitle' };
+  }
+  if (/^\{\d+\}\{\d+\}/.test(text)) return { format: 'sub', category: 'subtitle' };
+  if (/^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}/.test(text)) return { format: 'sbv', category: 'subtitle' };
+  if (text.startsWith('{\\rtf')) return { format: 'rtf', category: 'document' };
+  if (/^<\?xml[^>]*>\s*<FictionBook/.test(text)) return { format: 'fb2', category: 'ebook' };
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/.test(text)) return { format: 'svg', category: 'image' };
+  
+  return null;
+}
+
+/**
+ * Check if a file start looks like text (no NUL bytes, valid UTF-8 apart from a cut-off last character)
+ * @param {Buffer} buffer - File start
+ * @returns {boolean} Whether the content is text
+ */
+function looksLikeText(buffer) {
+  if (buffer.length === 0 || buffer.includes(0)) {
+    return false;
+  }
+  
+  const text = buffer.toString('utf8');
+  const replacements = (text.match(/\uFFFD/g) || []).length;
+  return replacements <= 1;
+}
+
+/**
+ * Detect a file's real format from its first bytes
+ * @param {Buffer} buffer - File start (SNIFF_BYTES is plenty)
+ * @returns {Object|null} { format, category }, null when the content has no known signature
+ */
+function sniffFormat(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+  
+  // Images
+  if (hasBytes(buffer, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return { format: 'png', category: 'image' };
+  if (hasBytes(buffer, 0, [0xFF, 0xD8, 0xFF])) return { format: 'jpg', category: 'image' };
+  if (hasBytes(buffer, 0, 'GIF87a') || hasBytes(buffer, 0, 'GIF89a')) return { format: 'gif', category: 'image' };
+  if (hasBytes(buffer, 0, 'RIFF') && hasBytes(buffer, 8, 'WEBP')) return { format: 'webp', category: 'image' };
+  if (hasBytes(buffer, 0, 'BM') && buffer.length >= 18 && BMP_HEADER_SIZES.includes(buffer.readUInt32LE(14))) return { format: 'bmp', category: 'image' };
+  if (hasBytes(buffer, 0, [0x49, 0x49, 0x2A, 0x00]) || hasBytes(buffer, 0, [0x4D, 0x4D, 0x00, 0x2A])) return { format: 'tiff', category: 'image' };
+  if (hasBytes(buffer, 0, [0x00, 0x00, 0x01, 0x00]) && buffer.length >= 6 && buffer.readUInt16LE(4) > 0) return { format: 'ico', category: 'image' };
+  
+  // Documents
+  if (hasBytes(buffer, 0, '%PDF-')) return { format: 'pdf', category: 'document' };
+  if (hasBytes(buffer, 0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return { format: 'doc', category: 'document' };
+  if (hasBytes(buffer, 0, [0x50, 0x4B, 0x03, 0x04])) return sniffZip(buffer);
+  
+  // eBooks
+  if (hasBytes(buffer, 60, 'BOOKMOBI')) return { format: 'mobi', category: 'ebook' };
+  if (hasBytes(buffer, 0, 'AT&TFORM')) return { format: 'djvu', category: 'ebook' };
+  
+  // Fonts
+  if (hasBytes(buffer, 0, [0x00, 0x01, 0x00, 0x00]) || (hasBytes(buffer, 0, 'true') && !looksLikeText(buffer))) return { format: 'ttf', category: 'font' };
+  if (hasBytes(buffer, 0, 'OTTO')) return { format: 'otf', category: 'font' };
+  if (hasBytes(buffer, 0, 'wOFF')) return { format: 'woff', category: 'font' };
+  if (hasBytes(buffer, 0, 'wOF2')) return { format: 'woff2', category: 'font' };
+  if (hasBytes(buffer, 34, [0x4C, 0x50]) && EOT_VERSIONS.includes(buffer.readUInt32LE(8))) return { format: 'eot', category: 'font' };
+  
+  // Audio
+  if (hasBytes(buffer, 0, 'RIFF') && hasBytes(buffer, 8, 'WAVE')) return { format: 'wav', category: 'audio' };
+  if (hasBytes(buffer, 0, 'OggS')) return { format: 'ogg', category: 'audio' };
+  if (hasBytes(buffer, 0, 'fLaC')) return { format: 'flac', category: 'audio' };
+  if (hasBytes(buffer, 0, 'ID3')) return { format: 'mp3', category: 'audio' };
+  if (buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0) return { format: 'aac', category: 'audio' }; // ADTS
+  if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0) return { format: 'mp3', category: 'audio' };
+  
+  return sniffIsoMedia(buffer) || sniffText(buffer);
+}
+
+/**
+ * Check if a file extension names the detected format
+ * @param {string} extension - Extension from the file name
+ * @param {string} format - Format detected from content
+ * @returns {boolean} Whether they agree
+ */
+function isSameFormat(extension, format) {
+  const normalize = (value) => FORMAT_ALIASES[value] || value;
+  return normalize(extension.toLowerCase()) === normalize(format);
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffFormat,
+  looksLikeText,
+  isSameFormat
+};
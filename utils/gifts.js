@@ -0,0 +1,169 @@
+const User = require('../models/User');
+const { recordTransaction } = require('./credits');
+const { getUserTimezone, getLocalParts } = require('./timezones');
+
+/**
+ * Paid credits a user may give away per local day
+ * @returns {number} Daily gift cap
+ */
+function getDailyGiftCap() {
+  return parseInt(process.env.GIFT_DAILY_CAP) || 50;
+}
+
+/**
+ * Find a gift recipient by user ID or @username
+ * @param {string} query - "12345" or "@username"
+ * @returns {Promise<Object|null>} User document
+ */
+function findRecipient(query) {
+  if (/^\d+$/.test(query)) {
+    return User.findOne({ userId: parseInt(query) });
+  }
+  
+  const username = query.replace(/^@/, '');
+  if (!/^\w{3,32}$/.test(username)) {
+    return Promise.resolve(null);
+  }
+  
+  return User.findOne({ username: new RegExp(`^${username}$`, 'i') });
+}
+
+/**
+ * Key of the sender's current local day, which giftedToday counts for
+ * @param {Object} user - Sender
+ * @returns {string} "YYYY-MM-DD"
+ */
+function getGiftDay(user) {
+  const { year, month, day } = getLocalParts(new Date(), getUserTimezone(user));
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Count the paid credits a user gave away since their local midnight
+ * @param {Object} user - Sender
+ * @param {string} giftDay - Result of getGiftDay
+ * @returns {number} Credits gifted today
+ */
+function getGiftedToday(user, giftDay = getGiftDay(user)) {
+  return user.giftDay === giftDay ? user.giftedToday : 0;
+}
+
+/**
+ * Check a gift before asking for confirmation (and again before sending it)
+ * @param {Object} sender - Sender's user document
+ * @param {Object} recipient - Recipient's user document
+ * @param {number} amount - Paid credits to give
+ * @throws {Error} INVALID_GIFT, GIFT_TO_SELF, RECIPIENT_BANNED, INSUFFICIENT_CREDITS, GIFT_CAP_REACHED
+ */
+async function validateGift(sender, recipient, amount) {
+  const fail = (code, message) => {
+    const err = new Error(message);
+    err.code = code;
+    throw err;
+  };
+  
+  if (!Number.isInteger(amount) || amount <= 0) {
+    fail('INVALID_GIFT', 'The amount must be a whole number of credits.');
+  }
+  if (recipient.userId === sender.userId) {
+    fail('GIFT_TO_SELF', 'You cannot send credits to yourself.');
+  }
+  if (recipient.isBanned) {
+    fail('RECIPIENT_BANNED', 'This user cannot receive gifts.');
+  }
+  if (sender.paidCredits < amount) {
+    fail('INSUFFICIENT_CREDITS', `You only have ${sender.paidCredits} paid credits. Free credits cannot be gifted.`);
+  }
+  
+  const cap = getDailyGiftCap();
+  const giftedToday = getGiftedToday(sender);
+  if (giftedToday + amount > cap) {
+    fail('GIFT_CAP_REACHED', `You can gift up to ${cap} credits per day; ${Math.max(cap - giftedToday, 0)} left today.`);
+  }
+}
+
+/**
+ * Move paid credits from one user to another
+ * @param {Object} senderUser - Sender's user document
+ * @param {number} recipientId - Recipient's user ID
+ * @param {number} amount - Paid credits to move
+ * @returns {Promise<Object>} { sender, recipient } after the transfer
+ * @throws {Error} INSUFFICIENT_CREDITS, GIFT_CAP_REACHED, USER_NOT_FOUND
+ */
+async function transferCredits(senderUser, recipientId, amount) {
+  const senderId = senderUser.userId;
+  const cap = getDailyGiftCap();
+  const giftDay = getGiftDay(senderUser);
+  
+  // Only paid credits move, only if the sender still has them, and the daily total is
+  // counted in the same update so gifts confirmed at the same time can't pass the cap together
+  const sender = await User.findOneAndUpdate(
+    {
+      userId: senderId,
+      paidCredits: { $gte: amount },
+      $or: [{ giftDay: { $ne: giftDay } }, { giftedToday: { $lte: cap - amount } }]
+    },
+    [{
+      $set: {
+        paidCredits: { $subtract: ['$paidCredits', amount] },
+        giftedToday: { $cond: [{ $eq: ['$giftDay', giftDay] }, { $add: ['$giftedToday', amount] }, amount] },
+        giftDay
+      }
+    }],
+    { new: true }
+  );
+  
+  if (!sender) {
+    const current = await User.findOne({ userId: senderId }, { paidCredits: 1, giftDay: 1, giftedToday: 1 }).lean();
+    if (current && current.paidCredits >= amount) {
+      const left = Math.max(cap - getGiftedToday(current, giftDay), 0);
+      const err = new Error(`You can gift up to ${cap} credits per day; ${left} left today.`);
+      err.code = 'GIFT_CAP_REACHED';
+      throw err;
+    }
+    
+    const err = new Error('Not enough paid credits');
+    err.code = 'INSUFFICIENT_CREDITS';
+    throw err;
+  }
+  
+  const recipient = await User.findOneAndUpdate(
+    { userId: recipientId },
+    { $inc: { paidCredits: amount } },
+    { new: true }
+  );
+  
+  if (!recipient) {
+    await User.updateOne({ userId: senderId, giftDay }, { $inc: { paidCredits: amount, giftedToday: -amount } });
+    const err = new Error('Recipient not found');
+    err.code = 'USER_NOT_FOUND';
+    throw err;
+  }
+  
+  await recordTransaction({
+    userId: senderId,
+    type: 'gift_sent',
+    creditType: 'paid',
+    amount: -amount,
+    balanceAfter: sender.freeCredits + sender.paidCredits,
+    description: `Gift to user ${recipientId}`
+  });
+  await recordTransaction({
+    userId: recipientId,
+    type: 'gift_received',
+    creditType: 'paid',
+    amount,
+    balanceAfter: recipient.freeCredits + recipient.paidCredits,
+    description: `Gift from user ${senderId}`
+  });
+  
+  console.log(`🎁 User ${senderId} gifted ${amount} paid credits to user ${recipientId}`);
+  return { sender, recipient };
+}
+
+module.exports = {
+  getDailyGiftCap,
+  findRecipient,
+  validateGift,
+  transferCredits
+};
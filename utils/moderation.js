@@ -0,0 +1,224 @@
+const { isAdmin } = require('../commands/admin');
+
+// Requests allowed per sliding window, by kind (override with RATE_LIMIT_UPLOADS / RATE_LIMIT_CALLBACKS)
+const RATE_LIMITS = {
+  upload: { limit: parseInt(process.env.RATE_LIMIT_UPLOADS) || 5, windowMs: 60 * 1000 },
+  callback: { limit: parseInt(process.env.RATE_LIMIT_CALLBACKS) || 30, windowMs: 60 * 1000 }
+};
+
+// Rejected requests within STRIKE_WINDOW_MS that trigger a temporary ban
+const STRIKE_WINDOW_MS = 10 * 60 * 1000;
+const UPLOAD_TYPES = ['document', 'photo', 'audio', 'voice'];
+
+// userId:kind -> request timestamps inside the window
+const requestLog = new Map();
+// userId -> timestamps of rejected requests
+const strikeLog = new Map();
+
+/**
+ * Rejected requests that lead to an automatic ban
+ * @returns {number} Strike limit
+ */
+function getStrikeLimit() {
+  return parseInt(process.env.RATE_LIMIT_STRIKES) || 10;
+}
+
+/**
+ * Length of an automatic ban
+ * @returns {number} Minutes
+ */
+function getAutoBanMinutes() {
+  return parseInt(process.env.AUTO_BAN_MINUTES) || 60;
+}
+
+/**
+ * Keep only the timestamps inside a window
+ * @param {Array<number>} timestamps - Timestamps, oldest first
+ * @param {number} since - Window start
+ * @returns {Array<number>} Timestamps at or after the window start
+ */
+function trimWindow(timestamps = [], since) {
+  const firstInside = timestamps.findIndex(time => time >= since);
+  return firstInside === -1 ? [] : timestamps.slice(firstInside);
+}
+
+/**
+ * Count a request against the sliding window of its kind
+ * @param {number} userId - User ID
+ * @param {string} kind - 'upload' or 'callback'
+ * @param {number} now - Current time in ms
+ * @returns {Object} { allowed, retryAfter } with retryAfter in seconds
+ */
+function hitRateLimit(userId, kind, now = Date.now()) {
+  const { limit, windowMs } = RATE_LIMITS[kind];
+  const key = `${userId}:${kind}`;
+  const timestamps = trimWindow(requestLog.get(key), now - windowMs);
+  
+  if (timestamps.length >= limit) {
+    requestLog.set(key, timestamps);
+    return { allowed: false, retryAfter: Math.ceil((timestamps[0] + windowMs - now) / 1000) };
+  }
+  
+  timestamps.push(now);
+  requestLog.set(key, timestamps);
+  return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Record a rejected request
+ * @param {number} userId - User ID
+ * @param {number} now - Current time in ms
+ * @returns {number} Strikes inside the strike window, including this one
+ */
+function addStrike(userId, now = Date.now()) {
+  const strikes = trimWindow(strikeLog.get(userId), now - STRIKE_WINDOW_MS);
+  strikes.push(now);
+  strikeLog.set(userId, strikes);
+  return strikes.length;
+}
+
+/**
+ * Drop users with no requests inside their windows
+ */
+function pruneRateLimits() {
+  const now = Date.now();
+  
+  for (const [key, timestamps] of requestLog) {
+    const kind = key.split(':')[1];
+    if (!trimWindow(timestamps, now - RATE_LIMITS[kind].windowMs).length) {
+      requestLog.delete(key);
+    }
+  }
+  for (const [userId, strikes] of strikeLog) {
+    if (!trimWindow(strikes, now - STRIKE_WINDOW_MS).length) {
+      strikeLog.delete(userId);
+    }
+  }
+}
+
+setInterval(pruneRateLimits, STRIKE_WINDOW_MS).unref();
+
+/**
+ * Describe a user's ban for the user
+ * @param {Object} user - User object
+ * @returns {string} Message
+ */
+function getBanMessage(user) {
+  let text = `🚫 Your account is suspended.\n\nReason: ${user.banReason || 'No reason provided'}`;
+  if (user.bannedUntil) {
+    text += `\nUntil: ${user.bannedUntil.toUTCString()}`;
+  }
+  return text;
+}
+
+/**
+ * Lift a temporary ban once it has run out
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} Whether the user is still banned
+ */
+async function checkBan(user) {
+  if (!user.isBanned) {
+    return false;
+  }
+  if (!user.bannedUntil || user.bannedUntil > new Date()) {
+    return true;
+  }
+  
+  user.isBanned = false;
+  user.banReason = null;
+  user.bannedUntil = null;
+  await user.save();
+  
+  console.log(`✅ Temporary ban of user ${user.userId} expired`);
+  return false;
+}
+
+/**
+ * Ban a user for a while after they kept hitting the rate limit, and tell the admin
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {Object} user - User document
+ * @param {string} kind - Limit that was hit
+ */
+async function autoBanUser(telegram, user, kind) {
+  const minutes = getAutoBanMinutes();
+  
+  user.isBanned = true;
+  user.banReason = 'Too many requests';
+  user.bannedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  await user.save();
+  strikeLog.delete(user.userId);
+  
+  console.log(`🚨 User ${user.userId} auto-banned for ${minutes} min (${kind} rate limit)`);
+  
+  if (process.env.ADMIN_ID) {
+    try {
+      await telegram.sendMessage(process.env.ADMIN_ID,
+        `🚨 Auto-ban: user ${user.userId}${user.username ? ` (@${user.username})` : ''} kept hitting the ${kind} rate limit ` +
+        `and is banned for ${minutes} min.\n\nUse /unbanuser ${user.userId} to lift it.`
+      );
+    } catch (error) {
+      console.error('Failed to notify admin about auto-ban:', error.message);
+    }
+  }
+}
+
+/**
+ * Middleware that stops banned users (admins and payment updates pass through)
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next function
+ */
+async function banMiddleware(ctx, next) {
+  // A completed payment must always be recorded; pre-checkout rejects banned users itself
+  if (!ctx.user || isAdmin(ctx) || ctx.preCheckoutQuery || ctx.message?.successful_payment) {
+    return next();
+  }
+  
+  if (!(await checkBan(ctx.user))) {
+    return next();
+  }
+  
+  // Alerts are capped at 200 characters
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(getBanMessage(ctx.user).slice(0, 200), { show_alert: true });
+  }
+  if (ctx.message) {
+    return ctx.reply(getBanMessage(ctx.user));
+  }
+}
+
+/**
+ * Middleware that rate limits uploads and button presses with a sliding window
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next function
+ */
+async function rateLimitMiddleware(ctx, next) {
+  const kind = ctx.callbackQuery ? 'callback' :
+    UPLOAD_TYPES.some(type => ctx.message?.[type]) ? 'upload' : null;
+  
+  if (!kind || !ctx.user || isAdmin(ctx)) {
+    return next();
+  }
+  
+  const { allowed, retryAfter } = hitRateLimit(ctx.from.id, kind);
+  if (allowed) {
+    return next();
+  }
+  
+  if (addStrike(ctx.from.id) >= getStrikeLimit()) {
+    await autoBanUser(ctx.telegram, ctx.user, kind);
+    return kind === 'callback'
+      ? ctx.answerCbQuery(getBanMessage(ctx.user), { show_alert: true })
+      : ctx.reply(getBanMessage(ctx.user));
+  }
+  
+  const text = `⏳ Too many ${kind === 'upload' ? 'uploads' : 'requests'}. Please wait ${retryAfter}s.`;
+  return kind === 'callback' ? ctx.answerCbQuery(text) : ctx.reply(text);
+}
+
+module.exports = {
+  hitRateLimit,
+  checkBan,
+  getBanMessage,
+  banMiddleware,
+  rateLimitMiddleware
+};
@@ -0,0 +1,184 @@
+const { getUserTimezone, getLocalParts, getLocalMidnight } = require('./timezones');
+
+// Subscription plans. The allowance refills the free credit balance every period;
+// paid plans can be bought with Telegram Stars for `days` at a time.
+const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    allowance: null,       // DAILY_FREE_CREDITS
+    period: 'daily',
+    maxSizeFactor: 1,
+    priority: false,
+    premiumTargets: false
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    allowance: 100,
+    period: 'daily',
+    maxSizeFactor: 2,
+    priority: true,
+    premiumTargets: true,
+    stars: 250,
+    days: 30
+  },
+  business: {
+    id: 'business',
+    name: 'Business',
+    allowance: 5000,
+    period: 'monthly',
+    maxSizeFactor: 5,
+    priority: true,
+    premiumTargets: true,
+    stars: 1000,
+    days: 30
+  }
+};
+
+// Target formats only paid plans can convert to, by category
+const PREMIUM_TARGETS = {
+  image: ['avif'],
+  audio: ['flac']
+};
+
+/**
+ * Find a plan by ID
+ * @param {string} planId - Plan ID
+ * @returns {Object|undefined} Plan
+ */
+function getPlan(planId) {
+  return PLANS[planId];
+}
+
+/**
+ * Get the plan that applies to a user right now (expired plans fall back to Free)
+ * @param {Object} user - User object
+ * @param {Date} now - Current time
+ * @returns {Object} Plan
+ */
+function getUserPlan(user, now = new Date()) {
+  const plan = PLANS[user.plan];
+  if (!plan || plan.id === 'free' || !user.planExpiresAt || user.planExpiresAt <= now) {
+    return PLANS.free;
+  }
+  
+  return plan;
+}
+
+/**
+ * Credits a plan refills every period
+ * @param {Object} plan - Plan
+ * @returns {number} Allowance
+ */
+function getPlanAllowance(plan) {
+  return plan.allowance === null ? (parseInt(process.env.DAILY_FREE_CREDITS) || 15) : plan.allowance;
+}
+
+/**
+ * Key of the allowance period an instant falls in, in the user's timezone
+ * @param {Object} plan - Plan
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Instant
+ * @returns {string} "YYYY-MM-DD" for daily plans, "YYYY-MM" for monthly plans
+ */
+function getResetKey(plan, timezone, date) {
+  const { year, month, day } = getLocalParts(new Date(date), timezone);
+  const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+  
+  return plan.period === 'monthly' ? monthKey : `${monthKey}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Work out a user's current allowance period: local midnight (or the 1st) in their timezone
+ * @param {Object} user - User object
+ * @param {Date} now - Current time
+ * @returns {Object} { plan, timezone, key, nextResetAt }
+ */
+function getResetSchedule(user, now = new Date()) {
+  const plan = getUserPlan(user, now);
+  const timezone = getUserTimezone(user);
+  const { year, month, day } = getLocalParts(now, timezone);
+  
+  const nextResetAt = plan.period === 'monthly'
+    ? getLocalMidnight(year, month + 1, 1, timezone)
+    : getLocalMidnight(year, month, day + 1, timezone);
+  
+  return { plan, timezone, key: getResetKey(plan, timezone, now), nextResetAt };
+}
+
+/**
+ * Check if a user's allowance is due for a refill
+ * @param {Object} user - User object
+ * @param {Object} schedule - Result of getResetSchedule
+ * @returns {boolean} Whether the current period hasn't been refilled yet
+ */
+function isResetDue(user, schedule) {
+  // Users reset before period keys existed only have the reset time
+  const lastKey = user.lastResetKey || (user.lastReset && getResetKey(schedule.plan, schedule.timezone, user.lastReset));
+  return lastKey !== schedule.key;
+}
+
+/**
+ * Get the largest file a user may convert in a category
+ * @param {number} baseMaxSize - maxSize the category's converter plugin declares
+ * @param {Object} user - User object
+ * @returns {number} Size limit in bytes
+ */
+function getMaxFileSize(baseMaxSize, user) {
+  return baseMaxSize * getUserPlan(user).maxSizeFactor;
+}
+
+/**
+ * Check if a target format needs a paid plan
+ * @param {string} category - File type category
+ * @param {string} targetFormat - Target format
+ * @returns {boolean} Whether the target is premium
+ */
+function isPremiumTarget(category, targetFormat) {
+  return (PREMIUM_TARGETS[category] || []).includes(targetFormat);
+}
+
+/**
+ * Check if a user may convert to a target format
+ * @param {Object} user - User object
+ * @param {string} category - File type category
+ * @param {string} targetFormat - Target format
+ * @returns {boolean} Whether the target is available
+ */
+function canUseTarget(user, category, targetFormat) {
+  return !isPremiumTarget(category, targetFormat) || getUserPlan(user).premiumTargets;
+}
+
+/**
+ * Describe a plan's benefits in one line
+ * @param {Object} plan - Plan
+ * @returns {string} Summary, e.g. "100 credits/day · 2× file size · priority queue"
+ */
+function describePlan(plan) {
+  const parts = [`${getPlanAllowance(plan)} credits/${plan.period === 'monthly' ? 'month' : 'day'}`];
+  if (plan.maxSizeFactor > 1) {
+    parts.push(`${plan.maxSizeFactor}× file size`);
+  }
+  if (plan.priority) {
+    parts.push('priority queue');
+  }
+  if (plan.premiumTargets) {
+    parts.push(Object.values(PREMIUM_TARGETS).flat().map(target => target.toUpperCase()).join(' & '));
+  }
+  
+  return parts.join(' · ');
+}
+
+module.exports = {
+  PLANS,
+  getPlan,
+  getUserPlan,
+  getPlanAllowance,
+  getResetSchedule,
+  isResetDue,
+  getMaxFileSize,
+  isPremiumTarget,
+  canUseTarget,
+  describePlan
+};
@@ -0,0 +1,101 @@
+// Upper bounds of the price size tiers in bytes
+const SIZE_TIERS = [
+  { name: 'small', maxSize: 1024 * 1024 },        // up to 1MB
+  { name: 'medium', maxSize: 10 * 1024 * 1024 },  // up to 10MB
+  { name: 'large', maxSize: Infinity }
+];
+
+// Credits per conversion: [small, medium, large] by category and target format.
+// "default" applies to every target format without its own entry.
+const PRICING = {
+  image: {
+    default: [1, 1, 2],     // Sharp
+    avif: [1, 2, 3]         // slow encoder
+  },
+  document: {
+    default: [1, 2, 3],     // LibreOffice
+    txt: [1, 1, 2]          // plain text extraction
+  },
+  audio: {
+    default: [1, 2, 3],     // FFmpeg re-encode
+    wav: [2, 3, 4],         // lossless output
+    flac: [2, 3, 4]
+  },
+  ebook: {
+    default: [2, 3, 4]      // Calibre
+  },
+  font: {
+    default: [1, 1, 1]
+  },
+  subtitle: {
+    default: [1, 1, 1]
+  }
+};
+
+// Credit packs sold for Telegram Stars (XTR)
+const CREDIT_PACKS = [
+  { id: 'small', credits: 50, stars: 50 },
+  { id: 'medium', credits: 150, stars: 125 },
+  { id: 'large', credits: 500, stars: 350 }
+];
+
+/**
+ * Get the price size tier for a file size
+ * @param {number} fileSize - File size in bytes
+ * @returns {number} Index into the price lists (0 = small)
+ */
+function getSizeTier(fileSize) {
+  return SIZE_TIERS.findIndex(tier => (fileSize || 0) <= tier.maxSize);
+}
+
+/**
+ * Get the number of credits a conversion costs
+ * @param {string} category - File type category
+ * @param {string} targetFormat - Target format
+ * @param {number} fileSize - Input file size in bytes
+ * @returns {number} Price in credits
+ */
+function getConversionPrice(category, targetFormat, fileSize) {
+  const categoryPrices = PRICING[category];
+  if (!categoryPrices) {
+    return 1;
+  }
+  
+  const prices = categoryPrices[targetFormat] || categoryPrices.default;
+  return prices[getSizeTier(fileSize)];
+}
+
+/**
+ * Get the cheapest and the most expensive conversion price
+ * @returns {Object} { min, max } in credits
+ */
+function getPriceRange() {
+  const prices = Object.values(PRICING).flatMap(categoryPrices => Object.values(categoryPrices).flat());
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+/**
+ * Format a price for buttons and messages
+ * @param {number} price - Price in credits
+ * @returns {string} Formatted price, e.g. "2💎"
+ */
+function formatPrice(price) {
+  return `${price}💎`;
+}
+
+/**
+ * Find a credit pack by ID
+ * @param {string} packId - Pack ID
+ * @returns {Object|undefined} Credit pack
+ */
+function getCreditPack(packId) {
+  return CREDIT_PACKS.find(pack => pack.id === packId);
+}
+
+module.exports = {
+  getConversionPrice,
+  getPriceRange,
+  formatPrice,
+  getCreditPack,
+  CREDIT_PACKS
+};
@@ -0,0 +1,181 @@
+const PromoCode = require('../models/PromoCode');
+const { addPaidCredits } = require('./credits');
+
+/**
+ * Normalize a code the way it is stored
+ * @param {string} code - Code as typed
+ * @returns {string} Upper-case code
+ */
+function normalizeCode(code) {
+  return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Create a promo code
+ * @param {Object} data - Code settings
+ * @param {string} data.code - Code users type, letters, digits, dashes and underscores
+ * @param {number} data.credits - Paid credits per redemption
+ * @param {number} data.maxRedemptions - Redemptions across all users (null = unlimited)
+ * @param {number} data.perUserLimit - Redemptions per user
+ * @param {Date} data.expiresAt - Expiry (null = never)
+ * @param {number} data.createdBy - Admin ID
+ * @returns {Promise<Object>} Created promo code
+ * @throws {Error} INVALID_PROMO_CODE, PROMO_CODE_EXISTS
+ */
+async function createPromoCode({ code, credits, maxRedemptions = null, perUserLimit = 1, expiresAt = null, createdBy = null }) {
+  code = normalizeCode(code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    const err = new Error('Codes are 3-32 letters, digits, dashes or underscores');
+    err.code = 'INVALID_PROMO_CODE';
+    throw err;
+  }
+  
+  try {
+    return await PromoCode.create({ code, credits, maxRedemptions, perUserLimit, expiresAt, createdBy });
+  } catch (error) {
+    if (error.code === 11000) {
+      const err = new Error(`Promo code ${code} already exists`);
+      err.code = 'PROMO_CODE_EXISTS';
+      throw err;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Revoke a promo code so it can't be redeemed anymore
+ * @param {string} code - Promo code
+ * @param {number} adminId - Admin revoking the code
+ * @returns {Promise<Object|null>} Revoked promo code, null when not found or already revoked
+ */
+function revokePromoCode(code, adminId = null) {
+  return PromoCode.findOneAndUpdate(
+    { code: normalizeCode(code), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: adminId } },
+    { new: true }
+  );
+}
+
+/**
+ * Redeem a promo code for paid credits.
+ * All limits are checked in the same atomic update that counts the redemption,
+ * so concurrent redemptions can never go over them.
+ * @param {number} userId - User redeeming the code
+ * @param {string} code - Promo code
+ * @returns {Promise<Object>} { promo, user }
+ * @throws {Error} PROMO_NOT_FOUND, PROMO_REVOKED, PROMO_EXPIRED, PROMO_EXHAUSTED, PROMO_ALREADY_REDEEMED
+ */
+async function redeemPromoCode(userId, code) {
+  code = normalizeCode(code);
+  const now = new Date();
+  
+  const promo = await PromoCode.findOneAndUpdate(
+    {
+      code,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }] }
+      ],
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.userId', userId] } } } },
+          '$perUserLimit'
+        ]
+      }
+    },
+    {
+      $inc: { redemptionCount: 1 },
+      $push: { redemptions: { userId, redeemedAt: now } }
+    },
+    { new: true }
+  );
+  
+  if (!promo) {
+    throw await getRedeemError(userId, code, now);
+  }
+  
+  let user;
+  try {
+    user = await addPaidCredits(userId, promo.credits, {
+      type: 'promo_code',
+      description: `Promo code ${promo.code}`
+    });
+  } catch (error) {
+    // Give the redemption back, so the user can try again and a limited code keeps its slot
+    await PromoCode.updateOne(
+      { _id: promo._id },
+      {
+        $inc: { redemptionCount: -1 },
+        $pull: { redemptions: { userId, redeemedAt: now } }
+      }
+    );
+    throw error;
+  }
+  
+  console.log(`🎟 User ${userId} redeemed promo code ${promo.code} for ${promo.credits} credits`);
+  return { promo, user };
+}
+
+/**
+ * Explain why a redemption was refused
+ * @param {number} userId - User redeeming the code
+ * @param {string} code - Normalized promo code
+ * @param {Date} now - Time of the attempt
+ * @returns {Promise<Error>} Error with a code and a user-facing message
+ */
+async function getRedeemError(userId, code, now) {
+  const promo = await PromoCode.findOne({ code });
+  let message = 'This promo code does not exist.';
+  let errorCode = 'PROMO_NOT_FOUND';
+  
+  if (promo && promo.revokedAt) {
+    message = 'This promo code is no longer valid.';
+    errorCode = 'PROMO_REVOKED';
+  } else if (promo && promo.expiresAt && promo.expiresAt <= now) {
+    message = 'This promo code has expired.';
+    errorCode = 'PROMO_EXPIRED';
+  } else if (promo && promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+    message = 'This promo code has been fully redeemed.';
+    errorCode = 'PROMO_EXHAUSTED';
+  } else if (promo) {
+    message = promo.perUserLimit === 1
+      ? 'You have already redeemed this promo code.'
+      : `You have already redeemed this promo code ${promo.countRedemptionsBy(userId)} times.`;
+    errorCode = 'PROMO_ALREADY_REDEEMED';
+  }
+  
+  const err = new Error(message);
+  err.code = errorCode;
+  return err;
+}
+
+/**
+ * Format a promo code for the admin list
+ * @param {Object} promo - PromoCode document
+ * @returns {string} Formatted entry
+ */
+function formatPromoCode(promo) {
+  let status = '🟢';
+  if (promo.revokedAt) {
+    status = '⛔️';
+  } else if (!promo.isRedeemable()) {
+    status = '⚪️';
+  }
+  
+  let text = `${status} ${promo.code}: ${promo.credits} credits`;
+  text += `\n   🎟 ${promo.redemptionCount}/${promo.maxRedemptions === null ? '∞' : promo.maxRedemptions} used · ${promo.perUserLimit} per user`;
+  text += `\n   ⏳ ${promo.expiresAt ? `expires ${promo.expiresAt.toISOString().slice(0, 16).replace('T', ' ')} UTC` : 'no expiry'}`;
+  if (promo.revokedAt) {
+    text += ` · revoked ${promo.revokedAt.toDateString()}`;
+  }
+  
+  return text;
+}
+
+module.exports = {
+  createPromoCode,
+  revokePromoCode,
+  redeemPromoCode,
+  formatPromoCode
+};
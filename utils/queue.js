@@ -1,9 +1,70 @@
 const { v4: uuidv4 } = require('uuid');
+const Job = require('../models/Job');
+const { loadConversionStats, recordConversionTime, estimateDuration, formatDuration } = require('./conversionStats');
 
-// Global queue state
+// Global queue state (pending jobs are mirrored in MongoDB)
 let processingQueue = [];
-let isProcessing = false;
-let currentTask = null;
+
+// Default workers per file type category, overridable with e.g. IMAGE_WORKERS=8
+const DEFAULT_POOL_CONCURRENCY = {
+  image: 4,     // Sharp
+  document: 1,  // LibreOffice
+  audio: 2,     // FFmpeg
+  ebook: 1,     // Calibre
+  font: 2,
+  subtitle: 2
+};
+
+// Worker pools keyed by file type category
+const pools = {};
+
+// Default time limit per job attempt in seconds, overridable with e.g. IMAGE_TIMEOUT_SECONDS=90
+const DEFAULT_JOB_TIMEOUTS = {
+  image: 60,
+  document: 180,
+  audio: 300,
+  ebook: 180,
+  font: 30,
+  subtitle: 30
+};
+
+// Standard-lane jobs waiting longer than this are treated as priority (aging)
+const PRIORITY_AGING_MS = (parseInt(process.env.PRIORITY_AGING_SECONDS) || 120) * 1000;
+
+// Round-robin bookkeeping: when each user last had a job dispatched
+const userLastServed = new Map();
+let dispatchCounter = 0;
+
+// Set by initQueue so jobs can run without a live Telegraf context
+let telegram = null;
+let jobHandler = null;
+let failureHandler = null;
+let cancelHandler = null;
+
+// Abort controllers of running jobs, keyed by job ID
+const jobControllers = new Map();
+
+// Current attempt of each running job: { id, delivering }, keyed by job ID
+const jobAttempts = new Map();
+
+// An aborted handler still running after this long is reported (its worker stays busy)
+const ABORT_WARNING_MS = 30 * 1000;
+
+// Admin switches: paused stops dispatching, draining refuses new jobs until the queue is empty
+let queuePaused = false;
+let queueDraining = false;
+let drainWaiters = [];
+
+// Queue slots claimed by jobs that are still being stored, keyed by user ID
+const claimedSlots = new Map();
+
+// Why a running job was cancelled, shown to its owner once the job stops
+const cancelReasons = new Map();
+
+// Queue position messages are refreshed at most this often per category
+const QUEUE_REFRESH_DELAY = 3000;
+const refreshTimers = new Map();
+const queueMessageTexts = new Map();
 
 // Queue statistics
 const queueStats = {
@@ -14,67 +75,483 @@ const queueStats = {
 };
 
 /**
- * Add a task to the processing queue
- * @param {Object} ctx - Telegraf context object
- * @param {Function} handler - Handler function to process the task
- * @param {Object} options - Additional options for the task
- */
-async function addToQueue(ctx, handler, options = {}) {
-  const queueItem = {
-    id: uuidv4(),
-    userId: ctx.from.id,
-    ctx: ctx,
-    handler: handler,
-    options: options,
-    timestamp: new Date(),
-    attempts: 0,
-    maxAttempts: options.maxAttempts || 3
+ * Initialize the queue worker and pick up jobs left over from a previous run
+ * @param {Object} telegramInstance - Telegraf telegram client (bot.telegram)
+ * @param {Object} handlers - Job handlers
+ * @param {Function} handlers.handler - Runs a conversion job: (telegram, job, { signal, beginDelivery, isCurrentAttempt })
+ * @param {Function} handlers.onFailure - Called once a job has failed for good: (telegram, job, error)
+ * @param {Function} handlers.onCancel - Called after a job was cancelled: (telegram, job, reason)
+ * @returns {number} Number of restored jobs
+ */
+async function initQueue(telegramInstance, handlers) {
+  telegram = telegramInstance;
+  jobHandler = handlers.handler;
+  failureHandler = handlers.onFailure || null;
+  cancelHandler = handlers.onCancel || null;
+  
+  // ETAs fall back to defaults when the timing history cannot be loaded
+  try {
+    await loadConversionStats();
+  } catch (error) {
+    console.error('Failed to load conversion timings:', error);
+  }
+  
+  return restoreQueue();
+}
+
+/**
+ * Reload unfinished jobs from the database after a restart
+ * @returns {number} Number of restored jobs
+ */
+async function restoreQueue() {
+  const unfinished = await Job.findUnfinished();
+  const restored = [];
+  
+  for (const job of unfinished) {
+    // A job still marked as processing was interrupted by the restart
+    if (job.status === 'processing' && job.attempts >= job.maxAttempts) {
+      await failJob(job, new Error('Conversion was interrupted too many times'));
+      continue;
+    }
+    
+    job.status = 'pending';
+    await job.save();
+    restored.push(job);
+  }
+  
+  processingQueue = restored;
+  console.log(`📋 Restored ${restored.length} pending jobs from database`);
+  
+  scheduleJobs();
+  
+  // Update position messages that were sent before the restart
+  for (const category of new Set(restored.map(job => job.fileType))) {
+    scheduleQueueRefresh(category);
+  }
+  
+  return restored.length;
+}
+
+/**
+ * Add a conversion job to the processing queue
+ * @param {Object} jobData - Conversion job data
+ * @param {string} jobData.jobId - Job ID (generated when omitted)
+ * @param {number} jobData.userId - Telegram user ID
+ * @param {number} jobData.chatId - Chat to deliver the result to
+ * @param {number} jobData.messageId - Progress message to edit
+ * @param {string} jobData.fileId - Telegram file_id of the input
+ * @param {string} jobData.fileName - Original file name
+ * @param {string} jobData.fileType - File type category
+ * @param {number} jobData.fileSize - File size in bytes
+ * @param {string} jobData.inputFormat - Input format detected at upload
+ * @param {string} jobData.targetFormat - Target conversion format
+ * @param {string} jobData.lane - Queue lane ('priority' or 'standard')
+ * @param {Object} jobData.options - Conversion options
+ * @param {Function} releaseSlot - Slot from claimQueueSlot, claimed here when omitted
+ * @returns {string} Job ID
+ * @throws {Error} QUEUE_DRAINING while the queue is drained for a deploy
+ * @throws {Error} QUEUE_LIMIT_REACHED when the user already has QUEUE_LIMIT unfinished jobs
+ */
+async function addToQueue(jobData, releaseSlot = null) {
+  if (queueDraining) {
+    releaseSlot?.();
+    const err = new Error('Queue is draining and accepts no new jobs');
+    err.code = 'QUEUE_DRAINING';
+    throw err;
+  }
+  
+  // Claimed before the first await, so concurrent calls can't all pass the limit check
+  const release = releaseSlot || claimQueueSlot(jobData.userId);
+  
+  let job;
+  try {
+    job = await Job.create({
+      ...jobData,
+      jobId: jobData.jobId || uuidv4(),
+      maxAttempts: jobData.maxAttempts || 3
+    });
+  } finally {
+    release();
+  }
+  
+  // Pushed in the same tick the slot was given back, so the job is never counted twice or not at all
+  processingQueue.push(job);
+  
+  console.log(`📋 Added ${job.lane} job to queue: ${job.jobId} for user ${job.userId} (${job.fileType} pool)`);
+  
+  // Show queue position if the job has to wait for a worker in its pool
+  const pool = getPool(job.fileType);
+  if (pool.active.size >= pool.concurrency) {
+    const estimate = estimateQueueTimes(job.fileType).find(item => item.job === job);
+    const text = formatQueueMessage(estimate);
+    
+    try {
+      const queueMessage = await telegram.sendMessage(job.chatId, text);
+      job.queueMessageId = queueMessage.message_id;
+      queueMessageTexts.set(job.jobId, text);
+      
+      // The job may have started while the message was being sent
+      if (processingQueue.includes(job)) {
+        await job.save();
+      } else {
+        await removeQueueMessage(job);
+      }
+    } catch (sendError) {
+      console.error('Failed to send queue position:', sendError);
+    }
+  }
+  
+  // Start processing if the pool has a free worker
+  scheduleJobs();
+  
+  return job.jobId;
+}
+
+/**
+ * Get (or lazily create) the worker pool for a file type category
+ * @param {string} category - File type category
+ * @returns {Object} Worker pool
+ */
+function getPool(category) {
+  if (!pools[category]) {
+    const envConcurrency = parseInt(process.env[`${category.toUpperCase()}_WORKERS`]);
+    const envTimeout = parseInt(process.env[`${category.toUpperCase()}_TIMEOUT_SECONDS`]);
+    
+    pools[category] = {
+      concurrency: envConcurrency > 0 ? envConcurrency : (DEFAULT_POOL_CONCURRENCY[category] || 1),
+      timeout: (envTimeout > 0 ? envTimeout : (DEFAULT_JOB_TIMEOUTS[category] || 120)) * 1000,
+      active: new Map(),
+      processed: 0,
+      failed: 0,
+      averageProcessingTime: 0
+    };
+  }
+  
+  return pools[category];
+}
+
+/**
+ * Get waiting jobs for one category, in queue order
+ * @param {string} category - File type category
+ * @returns {Array} Waiting jobs
+ */
+function getWaitingJobs(category) {
+  return processingQueue.filter(job => job.fileType === category);
+}
+
+/**
+ * Get the maximum number of unfinished jobs per user
+ * @returns {number} Queue limit
+ */
+function getQueueLimit() {
+  const limit = parseInt(process.env.QUEUE_LIMIT);
+  return limit > 0 ? limit : 3;
+}
+
+/**
+ * Count a user's waiting and running jobs, and the slots claimed for jobs being added
+ * @param {number} userId - User ID
+ * @returns {number} Number of unfinished jobs
+ */
+function getUserJobCount(userId) {
+  const waiting = processingQueue.filter(job => job.userId === userId).length;
+  const running = Object.values(pools).reduce((sum, pool) => 
+    sum + [...pool.active.values()].filter(job => job.userId === userId).length, 0);
+  
+  return waiting + running + (claimedSlots.get(userId) || 0);
+}
+
+/**
+ * Claim one of a user's queue slots for a job that is about to be added.
+ * The claim counts towards the limit right away, while the job is still being stored.
+ * @param {number} userId - User ID
+ * @returns {Function} Gives the slot back; only the first call has an effect
+ * @throws {Error} QUEUE_LIMIT_REACHED when the user already has QUEUE_LIMIT unfinished jobs
+ */
+function claimQueueSlot(userId) {
+  if (hasReachedQueueLimit(userId)) {
+    const err = new Error(`User ${userId} already has ${getQueueLimit()} jobs queued`);
+    err.code = 'QUEUE_LIMIT_REACHED';
+    throw err;
+  }
+  
+  claimedSlots.set(userId, (claimedSlots.get(userId) || 0) + 1);
+  
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    
+    const remaining = claimedSlots.get(userId) - 1;
+    if (remaining > 0) {
+      claimedSlots.set(userId, remaining);
+    } else {
+      claimedSlots.delete(userId);
+    }
   };
+}
+
+/**
+ * Check if a user may not queue another job
+ * @param {number} userId - User ID
+ * @returns {boolean} Whether the user is at the queue limit
+ */
+function hasReachedQueueLimit(userId) {
+  return getUserJobCount(userId) >= getQueueLimit();
+}
+
+/**
+ * Check if the queue takes new jobs (false while draining)
+ * @returns {boolean} Whether new jobs are accepted
+ */
+function isAcceptingJobs() {
+  return !queueDraining;
+}
+
+/**
+ * Check if a job is served from the priority lane right now
+ * @param {Object} job - Job document
+ * @param {number} now - Current timestamp
+ * @returns {boolean} Whether the job counts as priority
+ */
+function isEffectivelyPriority(job, now = Date.now()) {
+  return job.lane === 'priority' || now - job.createdAt.getTime() >= PRIORITY_AGING_MS;
+}
+
+/**
+ * Order a category's waiting jobs the way they will be dispatched.
+ * Jobs placed by an admin (queueRank) go first. Then priority jobs (including
+ * aged standard jobs); within a lane users take turns: the user served
+ * longest ago goes next, with their oldest job.
+ * @param {string} category - File type category
+ * @returns {Array} Waiting jobs in dispatch order
+ */
+function orderWaitingJobs(category) {
+  const waiting = getWaitingJobs(category);
+  const lastServed = new Map(userLastServed);
+  let counter = dispatchCounter;
+  const now = Date.now();
   
-  processingQueue.push(queueItem);
+  const ordered = waiting
+    .filter(job => job.queueRank !== null && job.queueRank !== undefined)
+    .sort((a, b) => a.queueRank - b.queueRank);
+  const remaining = waiting.filter(job => !ordered.includes(job));
   
-  console.log(`📋 Added task to queue: ${queueItem.id} for user ${ctx.from.id}`);
+  for (const job of ordered) {
+    lastServed.set(job.userId, ++counter);
+  }
   
-  // Show queue position if there are other tasks
-  if (processingQueue.length > 1) {
-    const position = processingQueue.length - 1;
-    const estimatedWait = position * 30; // Rough estimate: 30 seconds per task
+  while (remaining.length > 0) {
+    const priorityJobs = remaining.filter(job => isEffectivelyPriority(job, now));
+    const candidates = priorityJobs.length > 0 ? priorityJobs : remaining;
     
-    await ctx.reply(
-      `⏳ **You're in queue!**\n\n` +
-      `📍 Position: ${position}\n` +
-      `⏰ Estimated wait: ~${estimatedWait}s\n\n` +
-      `💡 Your file will be processed automatically.`
-    );
+    let next = candidates[0];
+    for (const job of candidates) {
+      if ((lastServed.get(job.userId) || 0) < (lastServed.get(next.userId) || 0)) {
+        next = job;
+      }
+    }
+    
+    ordered.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+    lastServed.set(next.userId, ++counter);
+  }
+  
+  return ordered;
+}
+
+/**
+ * Start waiting jobs on every pool that has a free worker
+ */
+function scheduleJobs() {
+  if (queuePaused) {
+    return;
+  }
+  
+  const categories = new Set(processingQueue.map(job => job.fileType));
+  
+  for (const category of categories) {
+    const pool = getPool(category);
+    let dispatched = false;
+    
+    while (pool.active.size < pool.concurrency) {
+      const job = orderWaitingJobs(category)[0];
+      if (!job) break;
+      
+      processingQueue.splice(processingQueue.indexOf(job), 1);
+      pool.active.set(job.jobId, job);
+      userLastServed.set(job.userId, ++dispatchCounter);
+      runJob(job, pool);
+      dispatched = true;
+    }
+    
+    // Everyone behind the started jobs moved up
+    if (dispatched) {
+      scheduleQueueRefresh(category);
+    }
   }
   
-  // Start processing if not already processing
-  if (!isProcessing) {
-    processQueue();
+  checkDrained();
+}
+
+/**
+ * Estimate when each waiting job of a category starts, by playing the
+ * dispatch order through the pool's workers using historical durations
+ * @param {string} category - File type category
+ * @returns {Array} Entries { job, position, wait, duration } in dispatch order (times in ms)
+ */
+function estimateQueueTimes(category) {
+  const pool = getPool(category);
+  const now = Date.now();
+  
+  // Time until each worker is free
+  const workers = [...pool.active.values()].map(job =>
+    Math.max(0, estimateDuration(job) - (now - job.startedAt.getTime())));
+  while (workers.length < pool.concurrency) {
+    workers.push(0);
+  }
+  
+  return orderWaitingJobs(category).map((job, index) => {
+    const worker = workers.indexOf(Math.min(...workers));
+    const wait = workers[worker];
+    const duration = estimateDuration(job);
+    workers[worker] = wait + duration;
+    
+    return { job, position: index + 1, wait, duration };
+  });
+}
+
+/**
+ * Build the queue position message for a waiting job
+ * @param {Object} estimate - Entry from estimateQueueTimes
+ * @returns {string} Message text
+ */
+function formatQueueMessage({ job, position, wait, duration }) {
+  const laneLabel = job.lane === 'priority' ? '🚀 Priority lane' : '🐢 Standard lane';
+  
+  return `⏳ **You're in queue!**\n\n` +
+    `📍 Position: ${position}\n` +
+    `🛣 Lane: ${laneLabel}\n` +
+    `⏰ Estimated wait: ~${formatDuration(wait)}\n` +
+    `🏁 Ready in: ~${formatDuration(wait + duration)}\n\n` +
+    `💡 Your file will be processed automatically.`;
+}
+
+/**
+ * Refresh a category's queue position messages shortly, batching bursts of queue moves
+ * @param {string} category - File type category
+ */
+function scheduleQueueRefresh(category) {
+  if (refreshTimers.has(category)) {
+    return;
   }
   
-  return queueItem.id;
+  refreshTimers.set(category, setTimeout(() => {
+    refreshTimers.delete(category);
+    refreshQueueMessages(category).catch(error => console.error('Failed to refresh queue messages:', error));
+  }, QUEUE_REFRESH_DELAY));
+}
+
+/**
+ * Edit the position messages of a category's waiting jobs with their current ETA
+ * @param {string} category - File type category
+ */
+async function refreshQueueMessages(category) {
+  for (const estimate of estimateQueueTimes(category)) {
+    const { job } = estimate;
+    if (!job.queueMessageId) continue;
+    
+    const text = formatQueueMessage(estimate);
+    if (queueMessageTexts.get(job.jobId) === text) continue;
+    
+    try {
+      await telegram.editMessageText(job.chatId, job.queueMessageId, undefined, text);
+      queueMessageTexts.set(job.jobId, text);
+    } catch (editError) {
+      console.error('Failed to update queue position:', editError.message);
+    }
+  }
 }
 
 /**
- * Process the queue sequentially
+ * Delete a job's queue position message once it no longer waits
+ * @param {Object} job - Job document
  */
-async function processQueue() {
-  if (processingQueue.length === 0) {
-    isProcessing = false;
-    currentTask = null;
+async function removeQueueMessage(job) {
+  if (!job.queueMessageId) {
     return;
   }
   
-  isProcessing = true;
-  currentTask = processingQueue.shift();
+  const messageId = job.queueMessageId;
+  job.queueMessageId = null;
+  queueMessageTexts.delete(job.jobId);
+  
+  try {
+    await telegram.deleteMessage(job.chatId, messageId);
+  } catch (deleteError) {
+    console.error('Failed to delete queue position:', deleteError.message);
+  }
+}
+
+/**
+ * Run a single job on a pool worker
+ * @param {Object} job - Job document
+ * @param {Object} pool - Worker pool the job runs on
+ */
+async function runJob(job, pool) {
   const startTime = Date.now();
+  const controller = new AbortController();
+  const attempt = { id: uuidv4(), delivering: false };
+  let timeoutTimer = null;
+  let abortWarningTimer = null;
+  jobControllers.set(job.jobId, controller);
+  jobAttempts.set(job.jobId, attempt);
+  
+  const isCurrentAttempt = () => jobAttempts.get(job.jobId) === attempt;
+  
+  // Once the result is being sent the attempt can no longer be cancelled or time out
+  const beginDelivery = () => {
+    if (!isCurrentAttempt() || controller.signal.aborted) {
+      return false;
+    }
+    attempt.delivering = true;
+    clearTimeout(timeoutTimer);
+    return true;
+  };
+  
+  controller.signal.addEventListener('abort', () => {
+    abortWarningTimer = setTimeout(() => {
+      console.error(`⚠️ Job ${job.jobId} is still running ${ABORT_WARNING_MS / 1000}s after it was aborted`);
+    }, ABORT_WARNING_MS);
+  }, { once: true });
   
-  console.log(`🔄 Processing task: ${currentTask.id} for user ${currentTask.userId}`);
+  console.log(`🔄 Processing ${job.lane} job: ${job.jobId} for user ${job.userId} (${job.fileType} pool ${pool.active.size}/${pool.concurrency})`);
   
   try {
-    // Call the handler function
-    await currentTask.handler(currentTask.ctx, currentTask.options);
+    // Count the attempt up front so a job that crashes the process cannot loop forever
+    job.status = 'processing';
+    job.attempts++;
+    job.startedAt = new Date();
+    await removeQueueMessage(job);
+    await job.save();
+    
+    // Abort the attempt when it runs past the pool's time limit
+    timeoutTimer = setTimeout(() => {
+      const err = new Error(`Job exceeded ${pool.timeout / 1000}s time limit`);
+      err.code = 'TIMEOUT_ERROR';
+      controller.abort(err);
+    }, pool.timeout);
+    
+    // The worker stays busy until the handler has returned, even after an abort,
+    // so a retry never runs (and delivers or settles credits) next to this attempt
+    await jobHandler(telegram, job, { signal: controller.signal, beginDelivery, isCurrentAttempt });
+    
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.error = null;
+    await job.save();
     
     // Update statistics
     const processingTime = Date.now() - startTime;
@@ -84,57 +561,471 @@ async function processQueue() {
       queueStats.totalProcessed
     );
     
-    console.log(`✅ Task completed: ${currentTask.id} in ${processingTime}ms`);
+    pool.processed++;
+    pool.averageProcessingTime = (
+      (pool.averageProcessingTime * (pool.processed - 1) + processingTime) /
+      pool.processed
+    );
     
-  } catch (error) {
-    console.error(`❌ Task failed: ${currentTask.id}`, error);
+    await recordConversionTime(job, processingTime);
     
-    // Retry logic
-    currentTask.attempts++;
-    if (currentTask.attempts < currentTask.maxAttempts) {
-      console.log(`🔄 Retrying task: ${currentTask.id} (attempt ${currentTask.attempts + 1})`);
-      processingQueue.unshift(currentTask); // Add back to front of queue
+    console.log(`✅ Job completed: ${job.jobId} in ${processingTime}ms`);
+    
+  } catch (caughtError) {
+    const timedOut = controller.signal.reason?.code === 'TIMEOUT_ERROR';
+    
+    if (controller.signal.aborted && !timedOut) {
+      console.log(`🛑 Job cancelled while running: ${job.jobId}`);
+      const reason = cancelReasons.get(job.jobId) || null;
+      cancelReasons.delete(job.jobId);
+      await finishCancelledJob(job, reason);
+      return;
+    }
+    
+    const error = timedOut ? controller.signal.reason : caughtError;
+    console.error(`❌ Job failed: ${job.jobId}`, error);
+    
+    job.error = error.message;
+    job.attemptErrors.push({
+      attempt: job.attempts,
+      code: error.code || null,
+      message: error.message
+    });
+    
+    // Retry logic (handlers mark permanent failures with retryable = false)
+    if (error.retryable !== false && job.attempts < job.maxAttempts) {
+      console.log(`🔄 Retrying job: ${job.jobId} (attempt ${job.attempts + 1})`);
+      job.status = 'pending';
+      await job.save().catch(saveError => console.error('Failed to save job:', saveError));
+      processingQueue.unshift(job); // Add back to front of queue
     } else {
-      queueStats.totalFailed++;
-      try {
-        await currentTask.ctx.reply('❌ Conversion failed after multiple attempts. Please try again with a different file.');
-      } catch (replyError) {
-        console.error('Failed to send error message:', replyError);
-      }
+      pool.failed++;
+      await failJob(job, error);
     }
+  } finally {
+    clearTimeout(timeoutTimer);
+    clearTimeout(abortWarningTimer);
+    jobControllers.delete(job.jobId);
+    jobAttempts.delete(job.jobId);
+    pool.active.delete(job.jobId);
+    
+    // Hand the free worker to the next waiting job
+    scheduleJobs();
   }
+}
+
+/**
+ * Mark a job as failed and notify its owner.
+ * Jobs that used up all their attempts go to the dead-letter list for admins.
+ * @param {Object} job - Job document
+ * @param {Error} error - Last error
+ */
+async function failJob(job, error) {
+  queueStats.totalFailed++;
+  
+  job.status = error.retryable !== false && job.attempts >= job.maxAttempts ? 'dead' : 'failed';
+  job.error = error.message;
+  job.completedAt = new Date();
   
-  // Process next item after a short delay
-  setTimeout(() => {
-    processQueue();
-  }, 1000);
+  try {
+    await job.save();
+  } catch (saveError) {
+    console.error('Failed to save job:', saveError);
+  }
+  
+  try {
+    if (failureHandler) {
+      await failureHandler(telegram, job, error);
+    } else {
+      await telegram.sendMessage(job.chatId, '❌ Conversion failed after multiple attempts. Please try again with a different file.');
+    }
+  } catch (replyError) {
+    console.error('Failed to send error message:', replyError);
+  }
+}
+
+/**
+ * Mark a job as cancelled and let the owner know
+ * @param {Object} job - Job document
+ * @param {string} reason - Explanation for the owner (e.g. removed by an admin)
+ */
+async function finishCancelledJob(job, reason = null) {
+  await removeQueueMessage(job);
+  job.status = 'cancelled';
+  job.completedAt = new Date();
+  
+  try {
+    await job.save();
+  } catch (saveError) {
+    console.error('Failed to save job:', saveError);
+  }
+  
+  if (cancelHandler) {
+    try {
+      await cancelHandler(telegram, job, reason);
+    } catch (cancelError) {
+      console.error('Failed to finish cancelled job:', cancelError);
+    }
+  }
 }
 
 /**
- * Get current queue position for a user
+ * Find a waiting or running job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job document
+ */
+function findJob(jobId) {
+  const waiting = processingQueue.find(job => job.jobId === jobId);
+  if (waiting) {
+    return waiting;
+  }
+  
+  for (const pool of Object.values(pools)) {
+    if (pool.active.has(jobId)) {
+      return pool.active.get(jobId);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Cancel a job, whether it is still waiting or already running.
+ * Running jobs are aborted; the queue finishes them once the handler returns.
+ * Jobs whose result is already being delivered can't be cancelled any more.
+ * @param {string} jobId - Job ID
+ * @param {string} reason - Explanation for the owner (e.g. removed by an admin)
+ * @returns {boolean} Whether a job was cancelled
+ */
+async function cancelJob(jobId, reason = null) {
+  const index = processingQueue.findIndex(job => job.jobId === jobId);
+  if (index >= 0) {
+    const [job] = processingQueue.splice(index, 1);
+    console.log(`🗑️ Removed job ${jobId} from queue`);
+    scheduleQueueRefresh(job.fileType);
+    await finishCancelledJob(job, reason);
+    checkDrained();
+    return true;
+  }
+  
+  const controller = jobControllers.get(jobId);
+  if (controller && !controller.signal.aborted && !jobAttempts.get(jobId)?.delivering) {
+    console.log(`🛑 Aborting running job ${jobId}`);
+    if (reason) {
+      cancelReasons.set(jobId, reason);
+    }
+    controller.abort();
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Find a waiting or running job by the first characters of its ID (admin function)
+ * @param {string} jobIdPrefix - Full job ID or its first characters
+ * @returns {Object} Job document
+ * @throws {Error} JOB_NOT_FOUND or AMBIGUOUS_JOB_ID
+ */
+function findJobByPrefix(jobIdPrefix) {
+  const runningJobs = Object.values(pools).flatMap(pool => [...pool.active.values()]);
+  const matches = jobIdPrefix
+    ? [...processingQueue, ...runningJobs].filter(job => job.jobId.startsWith(jobIdPrefix))
+    : [];
+  
+  if (matches.length === 0) {
+    const err = new Error(`No queued job matches ${jobIdPrefix}`);
+    err.code = 'JOB_NOT_FOUND';
+    throw err;
+  }
+  
+  if (matches.length > 1) {
+    const err = new Error(`Job ID ${jobIdPrefix} is ambiguous`);
+    err.code = 'AMBIGUOUS_JOB_ID';
+    throw err;
+  }
+  
+  return matches[0];
+}
+
+/**
+ * Move a waiting job to a position in its pool's dispatch order (admin function).
+ * The jobs up to that position keep their order until they start.
+ * @param {string} jobIdPrefix - Full job ID or its first characters
+ * @param {number} position - New 1-based position within the pool
+ * @returns {Object} { job, position }
+ * @throws {Error} JOB_NOT_FOUND, AMBIGUOUS_JOB_ID or JOB_NOT_WAITING
+ */
+async function moveJob(jobIdPrefix, position) {
+  const job = findJobByPrefix(jobIdPrefix);
+  
+  if (!processingQueue.includes(job)) {
+    const err = new Error(`Job ${job.jobId} is already running`);
+    err.code = 'JOB_NOT_WAITING';
+    throw err;
+  }
+  
+  const order = orderWaitingJobs(job.fileType).filter(item => item !== job);
+  const index = Math.min(Math.max(position - 1, 0), order.length);
+  order.splice(index, 0, job);
+  
+  // Ranked jobs always lead the order, so ranking everything up to the last ranked job keeps it stable
+  let lastRanked = index;
+  order.forEach((item, i) => {
+    if (item.queueRank !== null && item.queueRank !== undefined) {
+      lastRanked = Math.max(lastRanked, i);
+    }
+  });
+  
+  for (let i = 0; i <= lastRanked; i++) {
+    if (order[i].queueRank !== i) {
+      order[i].queueRank = i;
+      await order[i].save();
+    }
+  }
+  
+  console.log(`↕️ Job ${job.jobId} moved to position ${index + 1} in ${job.fileType} pool`);
+  
+  try {
+    await telegram.sendMessage(job.chatId, `↕️ An admin moved your conversion of ${job.fileName} to position ${index + 1} in the queue.`);
+  } catch (sendError) {
+    console.error('Failed to notify user about move:', sendError);
+  }
+  
+  scheduleQueueRefresh(job.fileType);
+  return { job, position: index + 1 };
+}
+
+/**
+ * Remove a waiting or running job and tell its owner (admin function)
+ * @param {string} jobIdPrefix - Full job ID or its first characters
+ * @returns {Object} Removed job document
+ * @throws {Error} JOB_NOT_FOUND, AMBIGUOUS_JOB_ID or JOB_DELIVERING
+ */
+async function removeJob(jobIdPrefix) {
+  const job = findJobByPrefix(jobIdPrefix);
+  if (!await cancelJob(job.jobId, 'Removed from the queue by an admin.')) {
+    const err = new Error('Job result is already being delivered');
+    err.code = 'JOB_DELIVERING';
+    throw err;
+  }
+  return job;
+}
+
+/**
+ * Send a message to every user with a waiting job
+ * @param {string} text - Message text
+ * @returns {number} Number of notified chats
+ */
+async function notifyWaitingUsers(text) {
+  const chatIds = new Set(processingQueue.map(job => job.chatId));
+  
+  for (const chatId of chatIds) {
+    try {
+      await telegram.sendMessage(chatId, text);
+    } catch (sendError) {
+      console.error('Failed to notify waiting user:', sendError);
+    }
+  }
+  
+  return chatIds.size;
+}
+
+/**
+ * Stop starting new jobs; running jobs finish normally (admin function)
+ * @returns {number|false} Number of notified chats, false if already paused
+ */
+async function pauseQueue() {
+  if (queuePaused) {
+    return false;
+  }
+  
+  queuePaused = true;
+  console.log('⏸️ Queue paused');
+  
+  return notifyWaitingUsers('⏸️ The conversion queue is paused for maintenance. Your file keeps its place and will be converted once it resumes.');
+}
+
+/**
+ * Start dispatching again and accept new jobs (admin function)
+ * @returns {number|false} Number of notified chats, false if the queue was not paused or draining
+ */
+async function resumeQueue() {
+  if (!queuePaused && !queueDraining) {
+    return false;
+  }
+  
+  const wasPaused = queuePaused;
+  queuePaused = false;
+  queueDraining = false;
+  console.log('▶️ Queue resumed');
+  
+  const notified = wasPaused
+    ? await notifyWaitingUsers('▶️ The conversion queue is running again. Your file will be converted shortly.')
+    : 0;
+  
+  scheduleJobs();
+  return notified;
+}
+
+/**
+ * Refuse new jobs and finish everything already queued, e.g. before a deploy (admin function)
+ * @returns {Promise} Resolves once no job is waiting or running
+ */
+function drainQueue() {
+  queueDraining = true;
+  queuePaused = false;
+  console.log('🚰 Queue draining');
+  
+  return new Promise(resolve => {
+    drainWaiters.push(resolve);
+    scheduleJobs();
+  });
+}
+
+/**
+ * Resolve drainQueue callers once the queue is empty
+ */
+function checkDrained() {
+  if (!queueDraining || drainWaiters.length === 0) {
+    return;
+  }
+  
+  const running = Object.values(pools).some(pool => pool.active.size > 0);
+  if (processingQueue.length === 0 && !running) {
+    console.log('✅ Queue drained');
+    const waiters = drainWaiters;
+    drainWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+/**
+ * Put a dead-letter job back into the queue (admin function)
+ * @param {string} jobIdPrefix - Full job ID or its first characters
+ * @returns {Object} Retried job document
+ * @throws {Error} JOB_NOT_FOUND or AMBIGUOUS_JOB_ID
+ * @throws {Error} QUEUE_DRAINING, QUEUE_PAUSED or QUEUE_LIMIT_REACHED (the owner's limit)
+ */
+async function retryDeadJob(jobIdPrefix) {
+  const escapedPrefix = jobIdPrefix.replace(/[^a-f0-9-]/gi, '');
+  const matches = await Job.find({
+    status: 'dead',
+    jobId: { $regex: `^${escapedPrefix}` }
+  }).limit(2);
+  
+  if (!escapedPrefix || matches.length === 0) {
+    const err = new Error(`No dead job matches ${jobIdPrefix}`);
+    err.code = 'JOB_NOT_FOUND';
+    throw err;
+  }
+  
+  if (matches.length > 1) {
+    const err = new Error(`Job ID ${jobIdPrefix} is ambiguous`);
+    err.code = 'AMBIGUOUS_JOB_ID';
+    throw err;
+  }
+  
+  // Same rules as new jobs, and a paused queue shouldn't grow behind the admin's back
+  if (queueDraining || queuePaused) {
+    const err = new Error(`Queue is ${queueDraining ? 'draining' : 'paused'}`);
+    err.code = queueDraining ? 'QUEUE_DRAINING' : 'QUEUE_PAUSED';
+    throw err;
+  }
+  
+  const job = matches[0];
+  const release = claimQueueSlot(job.userId);
+  
+  job.status = 'pending';
+  job.attempts = 0;
+  job.error = null;
+  job.completedAt = null;
+  try {
+    await job.save();
+  } finally {
+    release();
+  }
+  
+  processingQueue.push(job);
+  console.log(`♻️ Dead job ${job.jobId} re-queued by admin`);
+  
+  try {
+    await telegram.sendMessage(job.chatId, `♻️ Your conversion of ${job.fileName} → ${job.targetFormat.toUpperCase()} is being retried.`);
+  } catch (sendError) {
+    console.error('Failed to notify user about retry:', sendError);
+  }
+  
+  scheduleJobs();
+  return job;
+}
+
+/**
+ * Get current queue position for a user within their job's pool
  * @param {number} userId - User ID to check
  * @returns {number} Position in queue (0 if not in queue)
  */
 function getQueuePosition(userId) {
-  const index = processingQueue.findIndex(item => item.userId === userId);
-  return index >= 0 ? index + 1 : 0;
+  const job = processingQueue.find(item => item.userId === userId);
+  if (!job) {
+    return 0;
+  }
+  
+  return orderWaitingJobs(job.fileType).indexOf(job) + 1;
 }
 
 /**
- * Remove a user's task from the queue
+ * Cancel all of a user's jobs, waiting and running
  * @param {number} userId - User ID
- * @returns {boolean} Whether task was removed
+ * @returns {number} Number of cancelled jobs
+ */
+async function removeFromQueue(userId) {
+  const jobIds = processingQueue.filter(item => item.userId === userId).map(job => job.jobId);
+  
+  for (const pool of Object.values(pools)) {
+    for (const job of pool.active.values()) {
+      if (job.userId === userId) {
+        jobIds.push(job.jobId);
+      }
+    }
+  }
+  
+  let cancelled = 0;
+  for (const jobId of jobIds) {
+    if (await cancelJob(jobId)) {
+      cancelled++;
+    }
+  }
+  
+  if (cancelled > 0) {
+    console.log(`🗑️ Cancelled ${cancelled} jobs for user ${userId}`);
+  }
+  
+  return cancelled;
+}
+
+/**
+ * Get load of every worker pool
+ * @returns {Object} Pool statistics keyed by category
  */
-function removeFromQueue(userId) {
-  const initialLength = processingQueue.length;
-  processingQueue = processingQueue.filter(item => item.userId !== userId);
+function getPoolStats() {
+  // Known categories first, then any extra pools created on the fly
+  const categories = new Set([...Object.keys(DEFAULT_POOL_CONCURRENCY), ...Object.keys(pools)]);
   
-  const removed = initialLength !== processingQueue.length;
-  if (removed) {
-    console.log(`🗑️ Removed task for user ${userId} from queue`);
+  const poolStats = {};
+  for (const category of categories) {
+    const pool = getPool(category);
+    poolStats[category] = {
+      concurrency: pool.concurrency,
+      timeout: pool.timeout / 1000, // in seconds
+      active: pool.active.size,
+      waiting: getWaitingJobs(category).length,
+      processed: pool.processed,
+      failed: pool.failed,
+      averageProcessingTime: Math.floor(pool.averageProcessingTime)
+    };
   }
   
-  return removed;
+  return poolStats;
 }
 
 /**
@@ -143,12 +1034,17 @@ function removeFromQueue(userId) {
  */
 function getQueueStats() {
   const uptime = Date.now() - queueStats.startTime;
+  const poolStats = getPoolStats();
+  const activeJobs = Object.values(poolStats).reduce((sum, pool) => sum + pool.active, 0);
   
   return {
     ...queueStats,
+    paused: queuePaused,
+    draining: queueDraining,
     currentQueueLength: processingQueue.length,
-    isProcessing: isProcessing,
-    currentTaskId: currentTask?.id || null,
+    activeJobs: activeJobs,
+    isProcessing: activeJobs > 0,
+    pools: poolStats,
     uptime: Math.floor(uptime / 1000), // in seconds
     averageProcessingTime: Math.floor(queueStats.averageProcessingTime)
   };
@@ -162,9 +1058,20 @@ function getQueueStatusMessage() {
   const stats = getQueueStats();
   
   let message = `📊 **Queue Status**\n\n`;
+  if (stats.draining) {
+    message += `🚰 Draining: no new jobs accepted\n`;
+  } else if (stats.paused) {
+    message += `⏸️ Paused: no new jobs are started\n`;
+  }
   message += `⏳ Current queue: ${stats.currentQueueLength} tasks\n`;
-  message += `🔄 Processing: ${stats.isProcessing ? 'Yes' : 'No'}\n`;
-  message += `📈 Total processed: ${stats.totalProcessed}\n`;
+  message += `🔄 Processing: ${stats.activeJobs} jobs\n\n`;
+  
+  message += `🏭 **Worker Pools:**\n`;
+  for (const [category, pool] of Object.entries(stats.pools)) {
+    message += `• ${category}: ${pool.active}/${pool.concurrency} busy, ${pool.waiting} waiting\n`;
+  }
+  
+  message += `\n📈 Total processed: ${stats.totalProcessed}\n`;
   message += `❌ Total failed: ${stats.totalFailed}\n`;
   message += `⚡ Avg processing time: ${stats.averageProcessingTime}ms\n`;
   message += `🕐 Uptime: ${Math.floor(stats.uptime / 3600)}h ${Math.floor((stats.uptime % 3600) / 60)}m`;
@@ -173,14 +1080,20 @@ function getQueueStatusMessage() {
 }
 
 /**
- * Clear the entire queue (admin function)
+ * Clear the entire queue and tell the owners (admin function)
  * @returns {number} Number of tasks cleared
  */
-function clearQueue() {
-  const clearedCount = processingQueue.length;
+async function clearQueue() {
+  const clearedJobs = processingQueue;
   processingQueue = [];
-  console.log(`🧹 Queue cleared: ${clearedCount} tasks removed`);
-  return clearedCount;
+  
+  for (const job of clearedJobs) {
+    await finishCancelledJob(job, 'The queue was cleared by an admin.');
+  }
+  
+  console.log(`🧹 Queue cleared: ${clearedJobs.length} tasks removed`);
+  checkDrained();
+  return clearedJobs.length;
 }
 
 /**
@@ -190,20 +1103,38 @@ function clearQueue() {
 function getDetailedQueue() {
   return processingQueue.map((item, index) => ({
     position: index + 1,
+    poolPosition: orderWaitingJobs(item.fileType).indexOf(item) + 1,
     userId: item.userId,
-    taskId: item.id,
-    timestamp: item.timestamp,
+    taskId: item.jobId,
+    lane: item.lane,
+    fileType: item.fileType,
+    targetFormat: item.targetFormat,
+    timestamp: item.createdAt,
     attempts: item.attempts,
-    waitTime: Date.now() - item.timestamp.getTime()
+    waitTime: Date.now() - item.createdAt.getTime()
   }));
 }
 
 module.exports = {
+  initQueue,
   addToQueue,
+  getQueueLimit,
+  hasReachedQueueLimit,
+  claimQueueSlot,
+  isAcceptingJobs,
   getQueuePosition,
+  findJob,
+  cancelJob,
+  retryDeadJob,
+  moveJob,
+  removeJob,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
   removeFromQueue,
   getQueueStats,
+  getPoolStats,
   getQueueStatusMessage,
   clearQueue,
   getDetailedQueue
-};
\ No newline at end of file
+};
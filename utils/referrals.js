@@ -0,0 +1,192 @@
+const User = require('../models/User');
+const { addPaidCredits } = require('./credits');
+
+// Start payload prefix of personal referral links (t.me/<bot>?start=ref_<userId>)
+const REFERRAL_PREFIX = 'ref_';
+
+// Campaign sources a start payload may name, e.g. "ads" or "channel_news"
+const CAMPAIGN_SOURCES = ['channel', 'group', 'ads'];
+
+/**
+ * Paid credits each side gets once the referee completes a first conversion
+ * @returns {number} Bonus credits
+ */
+function getReferralBonus() {
+  return parseInt(process.env.REFERRAL_BONUS_CREDITS) || 5;
+}
+
+/**
+ * Build a user's personal referral link
+ * @param {string} botUsername - Bot username without @
+ * @param {number} userId - Referrer's user ID
+ * @returns {string} Referral link
+ */
+function getReferralLink(botUsername, userId) {
+  return `https://t.me/${botUsername}?start=${REFERRAL_PREFIX}${userId}`;
+}
+
+/**
+ * Work out where a user came from based on the /start payload
+ * @param {string} payload - Start payload
+ * @returns {Object} { source, referralSource, referrerId }
+ */
+function parseStartPayload(payload) {
+  const referral = new RegExp(`^${REFERRAL_PREFIX}(\\d+)$`).exec(payload);
+  if (referral) {
+    return { source: 'referral', referralSource: payload, referrerId: parseInt(referral[1]) };
+  }
+  
+  const campaign = CAMPAIGN_SOURCES.find(source => payload === source || payload.startsWith(`${source}_`));
+  return { source: campaign || 'direct', referralSource: payload, referrerId: null };
+}
+
+/**
+ * Record where a new user came from. Only users who haven't converted anything yet
+ * can be attributed, and nobody can refer themselves or the user who referred them.
+ * @param {Object} user - User document
+ * @param {string} payload - Start payload
+ * @returns {Promise<Object|null>} Referrer document when the user was attributed to one
+ */
+async function applyStartPayload(user, payload) {
+  if (!payload || user.source !== 'direct' || user.referralSource || user.totalConversions > 0) {
+    return null;
+  }
+  
+  const { source, referralSource, referrerId } = parseStartPayload(payload);
+  let referrer = null;
+  
+  if (referrerId) {
+    referrer = await User.findOne({ userId: referrerId });
+    
+    if (!referrer || referrer.userId === user.userId || referrer.referredBy === user.userId || referrer.isBanned) {
+      console.log(`🚫 Ignored referral of user ${user.userId} by ${referrerId}`);
+      user.referralSource = referralSource;
+      await user.save();
+      return null;
+    }
+    
+    user.referredBy = referrer.userId;
+  }
+  
+  user.source = source;
+  user.referralSource = referralSource;
+  await user.save();
+  
+  if (referrer) {
+    console.log(`🤝 User ${user.userId} was referred by ${referrer.userId}`);
+  }
+  return referrer;
+}
+
+/**
+ * Give both sides their bonus after the referee's first successful conversion.
+ * Each half is claimed with an atomic flag flip, so it is paid once; a grant that
+ * fails gives its flag back and is retried after the referee's next conversion.
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {number} userId - Referee's user ID
+ * @returns {Promise<boolean>} Whether a bonus was paid
+ */
+async function rewardReferral(telegram, userId) {
+  const referee = await User.findOneAndUpdate(
+    { userId, referredBy: { $ne: null }, referralRewarded: false },
+    { $set: { referralRewarded: true, referrerBonusPending: true } },
+    { new: true }
+  );
+  
+  if (referee) {
+    const bonus = getReferralBonus();
+    try {
+      await addPaidCredits(referee.userId, bonus, {
+        type: 'referral_bonus',
+        description: `Joined through the referral of user ${referee.referredBy}`
+      });
+    } catch (error) {
+      await User.updateOne({ userId }, { $set: { referralRewarded: false, referrerBonusPending: false } });
+      throw error;
+    }
+    await notifyUser(telegram, referee.userId, `🎁 Welcome bonus! You got ${bonus} paid credits for joining through a friend's invite.`);
+  }
+  
+  const referrerPaid = await payReferrerBonus(telegram, userId);
+  
+  if (referee) {
+    console.log(`🤝 Referral bonus paid for user ${referee.userId} (referrer ${referee.referredBy})`);
+  }
+  return Boolean(referee) || referrerPaid;
+}
+
+/**
+ * Pay the referrer's half of a referral bonus, if it is still pending
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {number} userId - Referee's user ID
+ * @returns {Promise<boolean>} Whether the referrer was paid
+ */
+async function payReferrerBonus(telegram, userId) {
+  const referee = await User.findOneAndUpdate(
+    { userId, referrerBonusPending: true },
+    { $set: { referrerBonusPending: false } },
+    { new: true }
+  );
+  
+  if (!referee) {
+    return false;
+  }
+  
+  // Banned referrers keep the referral but earn nothing
+  const referrer = await User.findOne({ userId: referee.referredBy });
+  if (!referrer || referrer.isBanned) {
+    return false;
+  }
+  
+  const bonus = getReferralBonus();
+  try {
+    await addPaidCredits(referrer.userId, bonus, {
+      type: 'referral_bonus',
+      description: `Referral of user ${referee.userId}`
+    });
+  } catch (error) {
+    await User.updateOne({ userId }, { $set: { referrerBonusPending: true } });
+    throw error;
+  }
+  await User.updateOne({ userId: referrer.userId }, { $inc: { referralEarnings: bonus } });
+  await notifyUser(telegram, referrer.userId, `🤝 ${referee.firstName || 'A friend'} you invited made their first conversion. You earned ${bonus} paid credits!`);
+  
+  return true;
+}
+
+/**
+ * Send a notification without failing the caller
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {number} userId - Recipient
+ * @param {string} text - Message text
+ */
+async function notifyUser(telegram, userId, text) {
+  try {
+    await telegram.sendMessage(userId, text);
+  } catch (error) {
+    console.error(`Failed to notify user ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Get a referrer's invite statistics
+ * @param {Object} user - Referrer's user document
+ * @returns {Promise<Object>} { invited, converted, earned }
+ */
+async function getReferralStats(user) {
+  const [invited, converted] = await Promise.all([
+    User.countDocuments({ referredBy: user.userId }),
+    User.countDocuments({ referredBy: user.userId, referralRewarded: true })
+  ]);
+  
+  return { invited, converted, earned: user.referralEarnings || 0 };
+}
+
+module.exports = {
+  getReferralBonus,
+  getReferralLink,
+  parseStartPayload,
+  applyStartPayload,
+  rewardReferral,
+  getReferralStats
+};
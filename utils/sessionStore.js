@@ -0,0 +1,107 @@
+const Session = require('../models/Session');
+
+/**
+ * How long an untouched session is kept
+ * @returns {number} Milliseconds
+ */
+function getSessionTtl() {
+  return (parseInt(process.env.SESSION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Check for a plain object (not an array, date or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Find the fields of a session that changed since it was loaded
+ * @param {Object} loaded - Session data as loaded (JSON copy)
+ * @param {Object} current - Session data now
+ * @param {string} prefix - Path of these objects in the stored document
+ * @param {Object} changes - Collects { $set, $unset } by dotted path
+ * @returns {Object} changes
+ */
+function diffSession(loaded, current, prefix = 'data', changes = { $set: {}, $unset: {} }) {
+  for (const [field, value] of Object.entries(current)) {
+    const path = `${prefix}.${field}`;
+    if (isPlainObject(value) && isPlainObject(loaded[field])) {
+      diffSession(loaded[field], value, path, changes);
+    } else if (value === undefined) {
+      if (field in loaded) {
+        changes.$unset[path] = '';
+      }
+    } else if (JSON.stringify(value) !== JSON.stringify(loaded[field])) {
+      changes.$set[path] = value;
+    }
+  }
+  
+  for (const field of Object.keys(loaded)) {
+    if (!(field in current)) {
+      changes.$unset[`${prefix}.${field}`] = '';
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Create a Telegraf session store backed by MongoDB, so sessions survive
+ * restarts and are shared by every bot instance
+ * @returns {Object} Store with get, set and delete
+ */
+function createSessionStore() {
+  // What each session object looked like when it was loaded or last saved
+  const loadedSessions = new WeakMap();
+  
+  return {
+    /**
+     * Load a session
+     * @param {string} key - Session key
+     * @returns {Promise<Object|undefined>} Session data, undefined when missing or expired
+     */
+    async get(key) {
+      // Expired sessions may linger until the TTL monitor removes them
+      const session = await Session.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      if (!session) {
+        return undefined;
+      }
+      
+      loadedSessions.set(session.data, JSON.parse(JSON.stringify(session.data)));
+      return session.data;
+    },
+    
+    /**
+     * Save the changed fields of a session and push back its expiry.
+     * Only changes are written, so updates handled at the same time by another
+     * bot instance (e.g. a second pending file) are not overwritten.
+     * @param {string} key - Session key
+     * @param {Object} data - Session data
+     */
+    async set(key, data) {
+      const { $set, $unset } = diffSession(loadedSessions.get(data) || {}, data);
+      const update = { $set: { ...$set, expiresAt: new Date(Date.now() + getSessionTtl()) } };
+      if (Object.keys($unset).length > 0) {
+        update.$unset = $unset;
+      }
+      
+      await Session.updateOne({ key }, update, { upsert: true });
+      loadedSessions.set(data, JSON.parse(JSON.stringify(data)));
+    },
+    
+    /**
+     * Remove a session
+     * @param {string} key - Session key
+     */
+    async delete(key) {
+      await Session.deleteOne({ key });
+    }
+  };
+}
+
+module.exports = {
+  createSessionStore
+};
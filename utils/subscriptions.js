@@ -0,0 +1,213 @@
+const { Markup } = require('telegraf');
+const User = require('../models/User');
+const { recordTransaction, syncUserFields } = require('./credits');
+const { PLANS, getPlan, getUserPlan, getPlanAllowance, getResetSchedule } = require('./plans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days before expiry the renewal reminder is sent
+ * @returns {number} Days
+ */
+function getReminderDays() {
+  return parseInt(process.env.PLAN_REMINDER_DAYS) || 3;
+}
+
+/**
+ * Put a user on a paid plan, or extend it when they already have it.
+ * The new allowance is available right away.
+ * @param {number} userId - User ID
+ * @param {string} planId - Plan ID ('pro', 'business')
+ * @param {number} days - Days to add
+ * @param {Object} details - Ledger details
+ * @param {number} details.adminId - Admin who granted the plan
+ * @returns {Promise<Object>} Updated user
+ * @throws {Error} INVALID_PLAN, USER_NOT_FOUND
+ */
+async function activatePlan(userId, planId, days, { adminId = null } = {}) {
+  const plan = getPlan(planId);
+  if (!plan || plan.id === 'free') {
+    const err = new Error(`Unknown paid plan: ${planId}`);
+    err.code = 'INVALID_PLAN';
+    throw err;
+  }
+  
+  const user = await User.findOne({ userId });
+  if (!user) {
+    const err = new Error('User not found');
+    err.code = 'USER_NOT_FOUND';
+    throw err;
+  }
+  
+  // Renewals of the active plan add to the remaining time, anything else starts now
+  const now = new Date();
+  const current = getUserPlan(user, now);
+  const start = current.id === plan.id ? user.planExpiresAt : now;
+  
+  const planFields = {
+    plan: plan.id,
+    planExpiresAt: new Date(start.getTime() + days * DAY_MS),
+    planReminderSentAt: null
+  };
+  
+  // The allowance counts as this period's reset of the new plan
+  syncUserFields(user, planFields);
+  const { key, nextResetAt } = getResetSchedule(user, now);
+  const allowance = getPlanAllowance(plan);
+  
+  // Topped up in the update itself, so a reservation made meanwhile by a running job is kept
+  const before = await User.findOneAndUpdate(
+    { userId },
+    [{ $set: { ...planFields, freeCredits: { $max: ['$freeCredits', allowance] }, lastReset: now, lastResetKey: key, nextResetAt } }]
+  );
+  const freeCredits = Math.max(before.freeCredits, allowance);
+  syncUserFields(user, { freeCredits, paidCredits: before.paidCredits, lastReset: now, lastResetKey: key, nextResetAt });
+  
+  if (freeCredits !== before.freeCredits) {
+    await recordTransaction({
+      userId,
+      type: 'daily_reset',
+      creditType: 'free',
+      amount: freeCredits - before.freeCredits,
+      balanceAfter: freeCredits + before.paidCredits,
+      adminId,
+      description: `${plan.name} plan allowance`
+    });
+  }
+  
+  console.log(`📅 User ${userId} is on the ${plan.name} plan until ${user.planExpiresAt.toISOString()}`);
+  return user;
+}
+
+/**
+ * Move a user back to the Free plan; allowance credits above the Free allowance are dropped
+ * @param {Object} user - User document
+ * @param {Object} details - Ledger details
+ * @param {number} details.adminId - Admin who ended the plan
+ * @returns {Promise<Object>} Updated user
+ */
+async function endPlan(user, { adminId = null } = {}) {
+  const previousPlan = PLANS[user.plan] || PLANS.free;
+  
+  const planFields = { plan: 'free', planExpiresAt: null, planReminderSentAt: null };
+  
+  // Today counts as reset on the Free plan, the next Free reset is at local midnight
+  syncUserFields(user, planFields);
+  const { key, nextResetAt } = getResetSchedule(user);
+  const allowance = getPlanAllowance(PLANS.free);
+  
+  // Capped in the update itself, so a reservation made meanwhile by a running job is kept
+  const before = await User.findOneAndUpdate(
+    { userId: user.userId },
+    [{ $set: { ...planFields, freeCredits: { $min: ['$freeCredits', allowance] }, lastResetKey: key, nextResetAt } }]
+  );
+  const freeCredits = Math.min(before.freeCredits, allowance);
+  syncUserFields(user, { freeCredits, paidCredits: before.paidCredits, lastResetKey: key, nextResetAt });
+  
+  if (freeCredits !== before.freeCredits) {
+    await recordTransaction({
+      userId: user.userId,
+      type: 'daily_reset',
+      creditType: 'free',
+      amount: freeCredits - before.freeCredits,
+      balanceAfter: freeCredits + before.paidCredits,
+      adminId,
+      description: `${previousPlan.name} plan ended`
+    });
+  }
+  
+  console.log(`📅 User ${user.userId} moved from the ${previousPlan.name} plan to Free`);
+  return user;
+}
+
+/**
+ * Shorten a user's plan (e.g. a refunded plan purchase)
+ * @param {number} userId - User ID
+ * @param {string} planId - Plan the days were bought for
+ * @param {number} days - Days to take back
+ * @returns {Promise<Object|null>} Updated user, null when the plan is no longer active
+ */
+async function shortenPlan(userId, planId, days) {
+  const user = await User.findOne({ userId, plan: planId, planExpiresAt: { $gt: new Date() } });
+  if (!user) {
+    return null;
+  }
+  
+  user.planExpiresAt = new Date(user.planExpiresAt.getTime() - days * DAY_MS);
+  if (user.planExpiresAt <= new Date()) {
+    return endPlan(user);
+  }
+  
+  await user.save();
+  return user;
+}
+
+/**
+ * Send a message without failing the caller
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {number} userId - Recipient
+ * @param {string} text - Message text
+ * @param {Object} extra - Message options
+ */
+async function notifyUser(telegram, userId, text, extra = {}) {
+  try {
+    await telegram.sendMessage(userId, text, extra);
+  } catch (error) {
+    console.error(`Failed to notify user ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Send renewal reminders for plans about to expire and end expired plans (for cron job)
+ * @param {Object} telegram - Telegraf telegram instance
+ * @returns {Promise<Object>} { reminded, expired }
+ */
+async function processPlanExpirations(telegram) {
+  const now = new Date();
+  const reminderCutoff = new Date(now.getTime() + getReminderDays() * DAY_MS);
+  let reminded = 0;
+  let expired = 0;
+  
+  const expiring = await User.find({
+    plan: { $ne: 'free' },
+    planExpiresAt: { $gt: now, $lte: reminderCutoff },
+    planReminderSentAt: null
+  });
+  
+  for (const user of expiring) {
+    const plan = getUserPlan(user, now);
+    const daysLeft = Math.max(1, Math.ceil((user.planExpiresAt - now) / DAY_MS));
+    
+    await notifyUser(telegram, user.userId,
+      `⏰ Your ${plan.name} plan expires in ${daysLeft} day(s) (${user.planExpiresAt.toDateString()}).\n\n` +
+      `Renew now to keep ${plan.name.toLowerCase()} benefits; the new days are added to the remaining time.`,
+      Markup.inlineKeyboard([[Markup.button.callback(`🔄 Renew ${plan.name} · ⭐ ${plan.stars}`, `buy_plan_${plan.id}`)]])
+    );
+    
+    user.planReminderSentAt = now;
+    await user.save();
+    reminded++;
+  }
+  
+  const lapsed = await User.find({ plan: { $ne: 'free' }, planExpiresAt: { $lte: now } });
+  
+  for (const user of lapsed) {
+    const plan = PLANS[user.plan] || PLANS.free;
+    await endPlan(user);
+    
+    await notifyUser(telegram, user.userId,
+      `📅 Your ${plan.name} plan has expired and you're back on the Free plan.\n\n` +
+      `Use /plan to renew at any time.`
+    );
+    expired++;
+  }
+  
+  return { reminded, expired };
+}
+
+module.exports = {
+  activatePlan,
+  endPlan,
+  shortenPlan,
+  processPlanExpirations
+};
@@ -0,0 +1,128 @@
+// Timezone assumed for users who haven't set one, by Telegram language code
+const LANGUAGE_TIMEZONES = {
+  ru: 'Europe/Moscow',
+  uk: 'Europe/Kyiv',
+  be: 'Europe/Minsk',
+  kk: 'Asia/Almaty',
+  uz: 'Asia/Tashkent',
+  de: 'Europe/Berlin',
+  fr: 'Europe/Paris',
+  es: 'Europe/Madrid',
+  it: 'Europe/Rome',
+  pl: 'Europe/Warsaw',
+  nl: 'Europe/Amsterdam',
+  tr: 'Europe/Istanbul',
+  pt: 'America/Sao_Paulo',
+  fa: 'Asia/Tehran',
+  ar: 'Asia/Riyadh',
+  hi: 'Asia/Kolkata',
+  id: 'Asia/Jakarta',
+  vi: 'Asia/Ho_Chi_Minh',
+  zh: 'Asia/Shanghai',
+  ja: 'Asia/Tokyo',
+  ko: 'Asia/Seoul'
+};
+
+/**
+ * Normalize a timezone name
+ * @param {string} timezone - IANA timezone, e.g. "europe/berlin"
+ * @returns {string|null} Canonical name, or null when it isn't a known timezone
+ */
+function resolveTimezone(timezone) {
+  if (!timezone) {
+    return null;
+  }
+  
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the timezone a user's day starts in: their own setting, else one derived from their language
+ * @param {Object} user - User object
+ * @returns {string} IANA timezone
+ */
+function getUserTimezone(user) {
+  return resolveTimezone(user.preferences?.timezone) ||
+    LANGUAGE_TIMEZONES[user.preferences?.language] ||
+    'UTC';
+}
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute } (month 1-12)
+ */
+function getLocalParts(date, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  });
+  
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value);
+    }
+  }
+  
+  return parts;
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to an instant
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12, overflow rolls into the next year)
+ * @param {number} day - Day of month (overflow rolls into the next month)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant of local midnight on that day
+ */
+function getLocalMidnight(year, month, day, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  
+  // The offset can change around the target (DST), so correct the guess twice
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalParts(new Date(instant), timezone);
+    const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    instant = wallClock - (localAsUtc - instant);
+  }
+  
+  return new Date(instant);
+}
+
+/**
+ * Format an instant as local time for messages, e.g. "Oct 20, 00:00 Europe/Berlin"
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Formatted local time
+ */
+function formatLocalTime(date, timezone) {
+  const text = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(date);
+  
+  return `${text} ${timezone}`;
+}
+
+module.exports = {
+  resolveTimezone,
+  getUserTimezone,
+  getLocalParts,
+  getLocalMidnight,
+  formatLocalTime
+};
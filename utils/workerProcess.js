@@ -0,0 +1,159 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', 'converterWorker.js');
+
+// Room above WORKER_MEMORY_MB in the per-process allocation limit, so the worker's own
+// heap and memory checks stop it first, with a clear MEMORY_LIMIT_EXCEEDED
+const NATIVE_MEMORY_HEADROOM_MB = 256;
+
+/**
+ * Get resource limits for converter workers
+ * @returns {Object} { memoryMb, cpuSeconds }
+ */
+function getWorkerLimits() {
+  return {
+    memoryMb: parseInt(process.env.WORKER_MEMORY_MB) || 1024,
+    cpuSeconds: parseInt(process.env.WORKER_CPU_SECONDS) || 600
+  };
+}
+
+/**
+ * Create a job error with a code the queue and failure handler understand
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function createWorkerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Describe a worker that exited without reporting back
+ * @param {number|null} exitCode - Exit code
+ * @param {string|null} signal - Terminating signal
+ * @returns {Error} Structured error
+ */
+function describeCrash(exitCode, signal) {
+  const { memoryMb, cpuSeconds } = getWorkerLimits();
+  
+  if (signal === 'SIGXCPU') {
+    return createWorkerError('CPU_LIMIT_EXCEEDED', `Converter exceeded ${cpuSeconds}s CPU time limit`);
+  }
+  
+  // V8 aborts when the heap limit (--max-old-space-size) is hit
+  if (signal === 'SIGABRT' || exitCode === 134) {
+    return createWorkerError('MEMORY_LIMIT_EXCEEDED', `Converter exceeded ${memoryMb}MB memory limit`);
+  }
+  
+  return createWorkerError('WORKER_CRASHED', `Converter worker exited unexpectedly (${signal || `code ${exitCode}`})`);
+}
+
+/**
+ * Kill a worker together with the processes it started (ffmpeg, soffice, ebook-convert)
+ * @param {ChildProcess} child - Worker process
+ */
+function killWorker(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Run a converter in an isolated child process with memory and CPU-time limits.
+ * Crashes and limit violations reject with a coded error instead of taking down the bot.
+ * @param {string} category - File type category (converter module name)
+ * @param {string} inputPath - Path to input file
+ * @param {string} outputFormat - Target format
+ * @param {Object} options - Converter options
+ * @param {string} options.inputFormat - Real format of the input file (the path has no extension)
+ * @param {AbortSignal} options.signal - Kills the worker when aborted; rejects once it has exited
+ * @returns {string} Path to converted file
+ */
+function runConverter(category, inputPath, outputFormat, options = {}) {
+  const { signal, ...converterOptions } = options;
+  const { memoryMb, cpuSeconds } = getWorkerLimits();
+  
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    
+    // ulimit -t caps CPU time for the worker and every converter process it starts.
+    // The soft limit sends SIGXCPU; the hard limit a bit later is the SIGKILL backstop.
+    // ulimit -d caps the memory each of them can allocate (ffmpeg, soffice and ebook-convert
+    // have no heap limit of their own). Unlike -v it ignores address space that is only
+    // reserved, which V8 does in large amounts at startup.
+    const dataLimitKb = (memoryMb + NATIVE_MEMORY_HEADROOM_MB) * 1024;
+    const child = spawn('/bin/sh', [
+      '-c', `ulimit -S -t ${cpuSeconds} && ulimit -H -t ${cpuSeconds + 5} && ulimit -d ${dataLimitKb} && exec "$0" "$@"`,
+      process.execPath, `--max-old-space-size=${memoryMb}`, WORKER_SCRIPT
+    ], {
+      detached: true, // own process group, so a kill reaches converter subprocesses too
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc'],
+      env: { ...process.env, WORKER_MEMORY_MB: String(memoryMb) }
+    });
+    
+    let settled = false;
+    let aborted = false;
+    
+    const finish = (error, outputPath) => {
+      if (settled) return;
+      settled = true;
+      
+      signal?.removeEventListener('abort', onAbort);
+      killWorker(child);
+      
+      if (error) {
+        reject(error);
+      } else {
+        resolve(outputPath);
+      }
+    };
+    
+    // Settle only once the worker is gone, so a retry never runs next to it
+    const onAbort = () => {
+      aborted = true;
+      killWorker(child);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    child.on('message', message => {
+      if (aborted) {
+        return;
+      }
+      if (message.type === 'result') {
+        finish(null, message.outputPath);
+      } else if (message.type === 'error') {
+        const err = createWorkerError(message.error.code, message.error.message);
+        if (message.error.retryable === false) {
+          err.retryable = false;
+        }
+        finish(err);
+      }
+    });
+    
+    child.on('error', error => {
+      finish(createWorkerError('WORKER_CRASHED', `Failed to start converter worker: ${error.message}`));
+    });
+    
+    // 'close' fires after all IPC messages were delivered
+    child.on('close', (exitCode, exitSignal) => {
+      finish(aborted ? signal.reason : describeCrash(exitCode, exitSignal));
+    });
+    
+    child.send({ category, inputPath, outputFormat, options: converterOptions }, error => {
+      if (error) {
+        finish(createWorkerError('WORKER_CRASHED', `Failed to send job to converter worker: ${error.message}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  runConverter
+};
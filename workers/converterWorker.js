@@ -0,0 +1,103 @@
+/**
+ * Converter worker process.
+ * Started by utils/workerProcess.js for a single conversion: receives one
+ * "convert" message over IPC, runs the category's converter and reports the
+ * output path (or the error) back before exiting.
+ */
+const path = require('path');
+
+// Resident memory allowed before the worker gives up (native memory included)
+const MEMORY_LIMIT_BYTES = (parseInt(process.env.WORKER_MEMORY_MB) || 1024) * 1024 * 1024;
+const MEMORY_CHECK_INTERVAL = 500;
+
+/**
+ * Report to the parent process and exit
+ * @param {Object} message - IPC message
+ * @param {number} exitCode - Process exit code
+ */
+function reply(message, exitCode = 0) {
+  if (!process.connected) {
+    process.exit(exitCode);
+  }
+  
+  process.send(message, () => process.exit(exitCode));
+}
+
+/**
+ * Send an error back in a form that survives IPC serialization
+ * @param {Error} error - Conversion error
+ * @param {number} exitCode - Process exit code
+ */
+function replyWithError(error, exitCode = 1) {
+  reply({
+    type: 'error',
+    error: {
+      message: error.message,
+      code: error.code || 'PROCESSING_ERROR',
+      retryable: error.retryable
+    }
+  }, exitCode);
+}
+
+/**
+ * Load the converter module of a file type category
+ * @param {string} category - File type category
+ * @returns {Object} Converter module
+ */
+function loadConverter(category) {
+  if (!/^[a-z]+$/.test(category)) {
+    const err = new Error(`Invalid converter category: ${category}`);
+    err.code = 'CONVERTER_NOT_FOUND';
+    throw err;
+  }
+  
+  try {
+    return require(path.join(__dirname, '..', 'converters', category));
+  } catch (error) {
+    const err = new Error(`Converter not available for ${category}: ${error.message}`);
+    err.code = 'CONVERTER_NOT_FOUND';
+    throw err;
+  }
+}
+
+// Native modules (Sharp, libvips) allocate outside the V8 heap, so watch RSS as well
+setInterval(() => {
+  if (process.memoryUsage.rss() > MEMORY_LIMIT_BYTES) {
+    const err = new Error(`Converter exceeded ${MEMORY_LIMIT_BYTES / 1024 / 1024}MB memory limit`);
+    err.code = 'MEMORY_LIMIT_EXCEEDED';
+    replyWithError(err);
+  }
+}, MEMORY_CHECK_INTERVAL).unref();
+
+process.on('uncaughtException', error => {
+  console.error('Converter worker crashed:', error);
+  error.code = error.code || 'WORKER_CRASHED';
+  replyWithError(error);
+});
+
+process.on('unhandledRejection', reason => {
+  console.error('Converter worker crashed:', reason);
+  const err = reason instanceof Error ? reason : new Error(String(reason));
+  err.code = err.code || 'WORKER_CRASHED';
+  replyWithError(err);
+});
+
+// The parent went away (bot restart), nobody is waiting for the result
+process.on('disconnect', () => process.exit(1));
+
+process.once('message', async ({ category, inputPath, outputFormat, options }) => {
+  try {
+    const converter = loadConverter(category);
+    if (typeof converter.convert !== 'function') {
+      const err = new Error(`Converter not available for ${category}`);
+      err.code = 'CONVERTER_NOT_FOUND';
+      throw err;
+    }
+    
+    const outputPath = await converter.convert(inputPath, outputFormat, options);
+    reply({ type: 'result', outputPath });
+    
+  } catch (error) {
+    replyWithError(error);
+  }
+});